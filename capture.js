@@ -0,0 +1,185 @@
+// --- Scene Capture ---
+// The scene is two layers: the WebGL canvas and the CSS2D label layer (region
+// labels, thought bubbles). Browsers cannot rasterize DOM elements, so captures
+// redraw every visible CSS2D element onto a 2D canvas from its computed style.
+
+import * as THREE from 'three';
+import { CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+
+const _position = new THREE.Vector3();
+
+function isShown(object) {
+  for (let o = object; o; o = o.parent) {
+    if (!o.visible) return false;
+  }
+  return true;
+}
+
+function roundRect(ctx, x, y, w, h, r) {
+  ctx.beginPath();
+  ctx.roundRect(x, y, w, h, Math.min(r, h / 2, w / 2));
+}
+
+function drawElement(ctx, el, cx, cy, scale) {
+  const style = getComputedStyle(el);
+  const opacity = parseFloat(style.opacity);
+  if (style.display === 'none' || !(opacity > 0)) return;
+
+  const px = (value) => (parseFloat(value) || 0) * scale;
+  let text = el.textContent.trim();
+  if (style.textTransform === 'uppercase') text = text.toUpperCase();
+
+  ctx.save();
+  ctx.globalAlpha = opacity;
+  ctx.font = `${style.fontStyle} ${style.fontWeight} ${px(style.fontSize)}px ${style.fontFamily}`;
+  if ('letterSpacing' in ctx) ctx.letterSpacing = `${px(style.letterSpacing)}px`;
+  ctx.textBaseline = 'middle';
+
+  const padX = px(style.paddingLeft);
+  const padY = px(style.paddingTop);
+  const border = px(style.borderTopWidth);
+  const w = ctx.measureText(text).width + 2 * (padX + border);
+  const h = px(style.fontSize) * 1.2 + 2 * (padY + border);
+  const x = cx - w / 2;
+  const y = cy - h / 2;
+
+  roundRect(ctx, x, y, w, h, px(style.borderTopLeftRadius));
+  ctx.fillStyle = style.backgroundColor;
+  ctx.fill();
+  if (border > 0) {
+    ctx.lineWidth = border;
+    ctx.strokeStyle = style.borderTopColor;
+    ctx.stroke();
+  }
+
+  // The marker dot of region labels (.label::before)
+  const before = getComputedStyle(el, '::before');
+  if (before.content && before.content !== 'none' && before.position === 'absolute') {
+    const r = px(before.width) / 2;
+    ctx.beginPath();
+    ctx.arc(x + px(before.left) + r, cy, r, 0, Math.PI * 2);
+    ctx.fillStyle = before.backgroundColor;
+    ctx.fill();
+  }
+
+  ctx.fillStyle = style.color;
+  ctx.fillText(text, x + padX + border, cy);
+  ctx.restore();
+}
+
+/**
+ * Draws the visible CSS2D elements of `scene` as seen by `camera` into `rect`
+ * ({ x, y, width, height } on the 2D canvas, the area the WebGL image covers).
+ * `scale` converts CSS pixels of the live page into canvas pixels.
+ */
+export function drawLabelLayer(ctx, scene, camera, rect, scale) {
+  const items = [];
+  scene.traverse(object => {
+    if (!(object instanceof CSS2DObject) || !isShown(object)) return;
+    _position.setFromMatrixPosition(object.matrixWorld).project(camera);
+    if (_position.z < -1 || _position.z > 1) return; // Behind the camera or clipped
+    items.push({ el: object.element, x: _position.x, y: _position.y, z: _position.z });
+  });
+
+  // Far elements first, like the CSS2D renderer's z-order
+  items.sort((a, b) => b.z - a.z).forEach(item => {
+    const cx = rect.x + (item.x + 1) / 2 * rect.width;
+    const cy = rect.y + (1 - item.y) / 2 * rect.height;
+    drawElement(ctx, item.el, cx, cy, scale);
+  });
+}
+
+/**
+ * Renders the scene at `width` x `height` and returns a canvas with both layers.
+ * The renderer and camera are restored afterwards. `background` (a CSS color)
+ * fills what the transparent WebGL canvas lets through; null keeps it transparent.
+ */
+export function captureImage(renderer, scene, camera, width, height, background = null) {
+  const size = renderer.getSize(new THREE.Vector2());
+  const pixelRatio = renderer.getPixelRatio();
+  const aspect = camera.aspect;
+
+  renderer.setPixelRatio(1);
+  renderer.setSize(width, height, false);
+  camera.aspect = width / height;
+  camera.updateProjectionMatrix();
+  renderer.render(scene, camera);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  if (background) {
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, width, height);
+  }
+  ctx.drawImage(renderer.domElement, 0, 0);
+  drawLabelLayer(ctx, scene, camera, { x: 0, y: 0, width, height }, width / size.x);
+
+  renderer.setPixelRatio(pixelRatio);
+  renderer.setSize(size.x, size.y, false);
+  camera.aspect = aspect;
+  camera.updateProjectionMatrix();
+  renderer.render(scene, camera);
+  return canvas;
+}
+
+const CLIP_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+/**
+ * Records composited frames to WebM. Frames are pushed explicitly with
+ * `addFrame()` right after each render, so every simulation step yields exactly
+ * one video frame.
+ */
+export class ClipRecorder {
+  constructor(width, height, background = '#000') {
+    const type = CLIP_TYPES.find(t => window.MediaRecorder && MediaRecorder.isTypeSupported(t));
+    if (!type) throw new Error('WebM recording is not supported by this browser');
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.ctx = this.canvas.getContext('2d');
+    this.stream = this.canvas.captureStream(0);
+    this.track = this.stream.getVideoTracks()[0];
+    this.background = background;
+    this.chunks = [];
+    this.frames = 0;
+    this.recorder = new MediaRecorder(this.stream, { mimeType: type, videoBitsPerSecond: 12e6 });
+    this.recorder.ondataavailable = (event) => {
+      if (event.data.size) this.chunks.push(event.data);
+    };
+    this.recorder.start(1000);
+  }
+
+  /** Copies the just-rendered WebGL canvas (cropped to fill) plus labels into the clip. */
+  addFrame(renderer, scene, camera) {
+    const source = renderer.domElement;
+    const { width, height } = this.canvas;
+    const cover = Math.max(width / source.width, height / source.height);
+    const rect = {
+      width: source.width * cover,
+      height: source.height * cover
+    };
+    rect.x = (width - rect.width) / 2;
+    rect.y = (height - rect.height) / 2;
+
+    this.ctx.fillStyle = this.background;
+    this.ctx.fillRect(0, 0, width, height);
+    this.ctx.drawImage(source, rect.x, rect.y, rect.width, rect.height);
+    drawLabelLayer(this.ctx, scene, camera, rect, rect.width / renderer.getSize(new THREE.Vector2()).x);
+    this.track.requestFrame();
+    this.frames++;
+  }
+
+  /** Resolves with the finished WebM blob. */
+  stop() {
+    return new Promise(resolve => {
+      this.recorder.onstop = () => {
+        this.track.stop();
+        resolve(new Blob(this.chunks, { type: 'video/webm' }));
+      };
+      this.recorder.stop();
+    });
+  }
+}
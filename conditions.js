@@ -0,0 +1,64 @@
+// --- Condition Presets ---
+// Each preset overrides slider parameters and model weights, restyles the
+// pathways and adds its own lines to the console narrative.
+//   params:  values pushed into the parameter panel (see parameters.js)
+//   weights: synaptic weight overrides (see DEFAULT_WEIGHTS in model.js)
+//   colors:  route id (direct, indirect, hyperdirect) → hex color override
+//   channelTint: brightness multiplier for every action channel pathway
+//   pulse:   speed multiplier, positional jitter and flicker chance per frame
+//   intro:   i18n keys of the log lines printed when the preset is selected
+//   notes:   i18n keys of the line appended to the model readout, per gate outcome
+// The preset's display name is the i18n key condition.<id>.
+
+export const CONDITIONS = {
+  healthy: {
+    params: { tonic: 0.2, phasic: 0.8, d1Gain: 1, d2Gain: 1 },
+    weights: {},
+    colors: {},
+    channelTint: 1,
+    pulse: { speed: 1, jitter: 0, flicker: 0 },
+    intro: ['condition.healthy.intro1'],
+    notes: { open: null, closed: null }
+  },
+  parkinsons: {
+    params: { tonic: 0.02, phasic: 0.1, d1Gain: 1, d2Gain: 1 },
+    weights: {},
+    colors: { direct: 0x334455 },
+    channelTint: 0.4,
+    pulse: { speed: 0.4, jitter: 0.0015, flicker: 0 },
+    intro: [
+      'condition.parkinsons.intro1',
+      'condition.parkinsons.intro2',
+      'condition.parkinsons.intro3'
+    ],
+    notes: { open: 'condition.parkinsons.open', closed: 'condition.parkinsons.closed' }
+  },
+  huntingtons: {
+    params: { tonic: 0.2, phasic: 0.8, d1Gain: 1, d2Gain: 1 },
+    weights: { ctxD2: 0.25, d2Gpe: 0.3 },
+    colors: { indirect: 0x442222 },
+    channelTint: 1.3,
+    pulse: { speed: 1.6, jitter: 0.001, flicker: 0.08 },
+    intro: [
+      'condition.huntingtons.intro1',
+      'condition.huntingtons.intro2',
+      'condition.huntingtons.intro3'
+    ],
+    notes: { open: 'condition.huntingtons.open', closed: 'condition.huntingtons.closed' }
+  },
+  adhd: {
+    params: { tonic: 0.05, phasic: 1.2, d1Gain: 1, d2Gain: 1 },
+    weights: {},
+    colors: { direct: 0x66ffff },
+    channelTint: 1,
+    pulse: { speed: 1.2, jitter: 0, flicker: 0.03 },
+    intro: [
+      'condition.adhd.intro1',
+      'condition.adhd.intro2',
+      'condition.adhd.intro3'
+    ],
+    notes: { open: 'condition.adhd.open', closed: 'condition.adhd.closed' }
+  }
+};
+
+export const DEFAULT_CONDITION = 'healthy';
@@ -0,0 +1,13 @@
+// --- Easing Curves ---
+// Named so scenario files can refer to them (e.g. "easing": "easeOutCubic").
+
+export const EASINGS = {
+  linear: t => t,
+  easeInQuad: t => t * t,
+  easeOutQuad: t => 1 - (1 - t) * (1 - t),
+  easeInOutQuad: t => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+  easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+};
+
+export const DEFAULT_EASING = 'easeInOutCubic';
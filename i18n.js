@@ -0,0 +1,508 @@
+// --- Localization ---
+// Message catalogs for the interface. Scenario text (step titles, logs, thoughts)
+// is translated inside the scenario files (see localizeScenario() in scenario.js).
+// Static markup opts in with data-i18n="key" (text), data-i18n-title="key" or
+// data-i18n-label="key" (aria-label).
+
+export const LOCALES = {
+  en: 'English',
+  tr: 'Türkçe'
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+const STORAGE_KEY = 'basalganglia.locale';
+
+const MESSAGES = {
+  en: {
+    'ui.language': 'LANGUAGE',
+    'ui.shape': 'SHAPE',
+    'ui.condition': 'CONDITION',
+    'ui.quiz': 'QUIZ',
+    'ui.parameters': 'PARAMETERS',
+    'ui.learning': 'LEARNING',
+    'ui.learningMode': 'Reinforcement learning mode',
+    'ui.actionTaken': 'Action taken',
+    'ui.habitHint': 'Habit strength (D1 − D2) per cycle',
+    'ui.resetHabits': 'RESET HABITS',
+    'ui.recording': 'SESSION RECORDING',
+    'ui.exportCsv': 'EXPORT CSV',
+    'ui.exportJson': 'EXPORT JSON',
+    'ui.replay': 'REPLAY…',
+    'ui.capture': 'CAPTURE',
+    'ui.resolution': 'Resolution',
+    'ui.screen': 'Screen',
+    'ui.frameStepping': 'Frame stepping',
+    'ui.savePng': 'SAVE PNG',
+    'ui.recordRun': 'RECORD RUN (WEBM)',
+    'ui.stopRecording': 'STOP RECORDING',
+    'ui.back': 'BACK',
+    'ui.autoplay': 'Autoplay / pause',
+    'ui.loop': 'LOOP',
+    'ui.loadScenario': 'LOAD SCENARIO FILE',
+    'ui.close': 'CLOSE',
+    'ui.pointer': 'POINTER',
+    'ui.repelRadius': 'Repel radius',
+    'ui.repelStrength': 'Repel strength',
+    'ui.hoverReadout': 'Show what is under the pointer',
+    'ui.performance': 'PERFORMANCE',
+    'ui.quality': 'Quality',
+    'ui.qualityAuto': 'Auto',
+    'ui.targetFps': 'Target frame rate',
+    'ui.perfHud': 'Show performance HUD',
+    'ui.accessibility': 'ACCESSIBILITY',
+    'ui.reducedMotion': 'Reduced motion',
+    'ui.pathwayState': 'Pathway state',
+    'ui.shortcuts': 'Keyboard shortcuts',
+    'ui.scene': 'Basal ganglia pathway animation. The pathway state is described as text in the accessibility panel.',
+
+    'start.title': 'START',
+    'start.btn': 'START SCENARIO',
+
+    'gate.open': 'THALAMIC GATE: OPEN → {name}',
+    'gate.closed': 'THALAMIC GATE: CLOSED',
+
+    'channel.relay': 'Thalamic relay · channel {n}',
+    'legend.channel': '{name} (cortex → striatum → GPi)',
+    'route.direct': 'Direct (Striatum → GPi)',
+    'route.indirect': 'Indirect (Striatum → GPe → STN → GPi)',
+    'route.hyperdirect': 'Hyperdirect (Cortex → STN)',
+
+    'region.cortex': 'Frontal Cortex',
+    'region.striatum': 'Striatum',
+    'region.snc': 'Substantia Nigra',
+    'region.gpe': 'Globus Pallidus (External)',
+    'region.stn': 'Subthalamic Nucleus',
+    'region.gpi': 'GPi / SNr',
+    'region.thalamus': 'Thalamus',
+
+    'param.hint': 'Option A = {a}, option B = {b}',
+    'param.tonic': 'Tonic dopamine',
+    'param.phasic': 'Phasic burst size',
+    'param.rewardA': 'Reward value · option A',
+    'param.costB': 'Effort cost · option B',
+    'param.d1Gain': 'D1 receptor gain',
+    'param.d2Gain': 'D2 receptor gain',
+
+    'condition.healthy': 'Healthy',
+    'condition.parkinsons': "Parkinson's",
+    'condition.huntingtons': "Huntington's",
+    'condition.adhd': 'ADHD (low tonic dopamine)',
+    'condition.healthy.intro1': 'Condition: Healthy control. SNc output and both striatal pathways intact.',
+    'condition.parkinsons.intro1': 'Condition: Parkinsonian dopamine depletion. ~80% of SNc neurons lost.',
+    'condition.parkinsons.intro2': 'D1 cells lose their dopamine drive; D2 cells lose their dopamine brake.',
+    'condition.parkinsons.intro3': 'Expect: indirect (NO-GO) pathway dominance, GPi/SNr stays high, thalamus stays shut.',
+    'condition.parkinsons.open': 'Parkinsonian: a gate opened only after strong cortical drive.',
+    'condition.parkinsons.closed': 'Parkinsonian: indirect pathway dominates. Decision FROZEN (akinesia).',
+    'condition.huntingtons.intro1': "Condition: Huntington's disease. Indirect-pathway (D2) striatal neurons degenerating.",
+    'condition.huntingtons.intro2': 'GPe is no longer braked by the striatum, so GPi/SNr inhibition of the thalamus collapses.',
+    'condition.huntingtons.intro3': 'Expect: competing actions leak through the gate (chorea).',
+    'condition.huntingtons.open': "Huntington's: NO-GO brake missing. Losing channels still leak through the thalamus.",
+    'condition.huntingtons.closed': "Huntington's: gate closed, but thalamic background activity is elevated.",
+    'condition.adhd.intro1': 'Condition: Low tonic dopamine (ADHD model).',
+    'condition.adhd.intro2': 'Baseline striatal drive is weak, so phasic bursts from immediate rewards dominate.',
+    'condition.adhd.intro3': 'Expect: the immediate-reward channel captures the gate quickly.',
+    'condition.adhd.open': 'Low tonic dopamine: the immediate reward captured the gate.',
+    'condition.adhd.closed': 'Low tonic dopamine: under-aroused baseline, no action selected yet.',
+
+    'choice.auto': 'Let the gate decide',
+    'choice.option': 'Choose {name}',
+
+    'quiz.score': '{correct} / {asked} correct',
+    'quiz.none': 'None, the gate stays closed',
+    'quiz.watch': 'Watch the thalamic gate…',
+    'quiz.correct': 'Correct.',
+    'quiz.wrong': 'Not quite. Answer: {answer}.',
+
+    'narration.step': 'Step {n} of {total}: {title}. {desc}',
+    'narration.start': 'Scenario {title} ready. Press the right arrow to start.',
+    'narration.thought': 'Thought: {text}',
+    'narration.balance': '{name}: {balance}.',
+    'narration.gateOpen': 'Thalamic gate open for {name}.',
+    'narration.gateClosed': 'Thalamic gate closed.',
+    'narration.region': '{name}. {function}',
+    'narration.quiz': 'Question: {question} {count} answers below the description.',
+    'narration.paused': 'Paused.',
+    'narration.playing': 'Playing.',
+
+    'describe.dopamine': 'Dopamine level {level}.',
+    'describe.channel': '{name}: striatum D1 {d1} Hz, D2 {d2} Hz; GPi/SNr {gpi} Hz; thalamus {thalamus} Hz. {balance}; thalamic gate {gate}.',
+    'describe.open': 'open',
+    'describe.closed': 'closed',
+    'balance.boost': 'Direct pathway (GO) dominates',
+    'balance.stall': 'Indirect pathway (NO-GO) dominates',
+    'balance.normal': 'Pathways balanced',
+
+    'shortcut.next': 'Next step',
+    'shortcut.back': 'Previous step',
+    'shortcut.play': 'Autoplay / pause',
+    'shortcut.regions': 'Focus a region (opens its anatomy drawer)',
+    'shortcut.close': 'Close the anatomy drawer',
+    'shortcut.describe': 'Read the pathway state aloud',
+    'shortcut.hud': 'Show or hide the performance HUD',
+
+    'hover.fibers': '{count} fibers',
+    'hover.fiber': '1 fiber',
+
+    'quality.low': 'Low',
+    'quality.medium': 'Medium',
+    'quality.high': 'High',
+    'quality.ultra': 'Ultra',
+    'perf.frame': '{fps} fps · {ms} ms',
+    'perf.draws': '{calls} draw calls · {triangles} triangles · {points} points',
+    'perf.memory': '{geometries} geometries · {textures} textures · {labels} labels',
+    'perf.tier': '{tier} ({mode}) · pixel ratio {ratio} · AA {aa}',
+    'perf.auto': 'auto',
+    'perf.pinned': 'pinned',
+    'perf.on': 'on',
+    'perf.off': 'off',
+
+    'record.start': '● REC',
+    'record.stop': '■ STOP',
+    'record.idle': 'Not recording',
+    'record.active': '{time} · {samples} samples',
+    'record.done': '{time} recorded',
+    'record.replaying': 'Replaying {time} / {total}',
+
+    'log.init': 'System: Initializing Basal Ganglia...',
+    'log.on': 'ON',
+    'log.off': 'OFF',
+    'log.error': 'ERROR: {message}',
+    'log.readout': 'Model: Thalamus {rates}. {gate}',
+    'log.gateOpen': "Gate OPEN for '{name}' (winner takes all).",
+    'log.gateClosed': 'No gate open.',
+    'log.reset': 'System: Simulation Reset. Re-initializing...',
+    'log.learningIdle': 'Learning: Cycle {cycle}. No action taken, habits relax.',
+    'log.learningAction': "Learning: Cycle {cycle}. Action '{name}', RPE {rpe}.",
+    'log.learningWeights': "Learning: Corticostriatal weights for '{name}' now D1 {d1} / D2 {d2}.",
+    'log.learningOverride': "Learning: Willpower override. The gate wanted '{name}'.",
+    'log.learningMode': 'System: Learning mode {state}.',
+    'log.habitsReset': 'System: Habits reset to untrained weights.',
+    'log.quizMode': 'System: Quiz mode {state}.',
+    'log.scenarioLoaded': "System: Scenario '{title}' loaded ({count} steps).",
+    'log.scenarioRejected': 'System: Scenario rejected.',
+    'log.meshLoaded': 'System: Brain surface mesh loaded.',
+    'log.meshAnchors': 'System: Brain surface mesh loaded ({count} region anchors).',
+    'log.meshMissing': 'System: Brain surface mesh unavailable, showing fiber model only.',
+    'log.recordingStarted': 'System: Session recording started.',
+    'log.recordingStopped': 'System: Session recording stopped ({samples} samples, {events} events).',
+    'log.replayStarted': 'System: Replaying session recorded {date}.',
+    'log.replayStopped': 'System: Replay stopped.',
+    'log.replayFinished': 'System: Replay finished.',
+    'log.replayNeedsScenario': "ERROR: Load the scenario '{title}' before replaying this recording.",
+    'log.clipStarted': 'System: Recording scenario run ({width}x{height} @ {fps} fps).',
+    'log.clipFinished': 'System: Clip finished ({frames} frames). Encoding...',
+    'log.quality': 'System: Quality {tier}.',
+    'log.qualityPinned': 'System: Quality {tier} (pinned).',
+    'log.antialiasOn': 'System: Antialiasing turns on after a reload.',
+    'log.antialiasOff': 'System: Antialiasing turns off after a reload.',
+
+    'drawer.function': 'FUNCTION',
+    'drawer.transmitters': 'NEUROTRANSMITTERS',
+    'drawer.connections': 'CONNECTIONS IN THIS MODEL',
+    'drawer.showFibers': 'Highlight the fibers of this pathway',
+    'drawer.rates': 'LIVE FIRING RATE',
+    'drawer.dopamine': 'Dopamine level: {level} (tonic {tonic})',
+
+    'anatomy.cortex.function': 'Proposes candidate actions and sends them to the striatum. Receives the thalamic "go" signal that releases the chosen motor program.',
+    'anatomy.cortex.transmitters': 'Glutamate (excitatory)',
+    'anatomy.striatum.function': 'Input stage of the basal ganglia. D1 medium spiny neurons start the direct (GO) pathway, D2 neurons the indirect (NO-GO) pathway.',
+    'anatomy.striatum.transmitters': 'GABA (inhibitory), with substance P (D1 cells) or enkephalin (D2 cells)',
+    'anatomy.snc.function': 'Substantia nigra pars compacta. Tonic dopamine sets the background balance; phasic bursts signal reward prediction errors.',
+    'anatomy.snc.transmitters': 'Dopamine',
+    'anatomy.gpe.function': 'Globus pallidus externus. Relay of the indirect pathway; tonically inhibits the STN and the output nuclei.',
+    'anatomy.gpe.transmitters': 'GABA (inhibitory)',
+    'anatomy.stn.function': 'Subthalamic nucleus. The only excitatory nucleus of the loop; its diffuse output acts as a global brake ("hold your horses").',
+    'anatomy.stn.transmitters': 'Glutamate (excitatory)',
+    'anatomy.gpi.function': 'Globus pallidus internus / substantia nigra pars reticulata. Output stage that keeps every action on hold until its channel is silenced.',
+    'anatomy.gpi.transmitters': 'GABA (inhibitory)',
+    'anatomy.thalamus.function': 'Ventral anterior / ventrolateral thalamus. Relays the released action back to the motor cortex once its gate opens.',
+    'anatomy.thalamus.transmitters': 'Glutamate (excitatory)',
+
+    'connection.corticostriatalD1': 'Corticostriatal (D1 cells)',
+    'connection.corticostriatalD2': 'Corticostriatal (D2 cells)',
+    'connection.hyperdirect': 'Hyperdirect',
+    'connection.corticothalamic': 'Corticothalamic',
+    'connection.dopamine': 'Dopamine (D1 excites, D2 inhibits)',
+    'connection.direct': 'Direct (D1)',
+    'connection.indirect': 'Indirect (D2)',
+    'connection.pallidosubthalamic': 'Pallidosubthalamic',
+    'connection.pallidopallidal': 'Pallidopallidal',
+    'connection.subthalamopallidal': 'Subthalamopallidal (diffuse)',
+    'connection.subthalamonigral': 'Subthalamonigral (diffuse)',
+    'connection.pallidothalamic': 'Pallidothalamic (the gate)',
+
+    'mesh.loading': 'BRAIN MESH: LOADING…',
+    'mesh.progress': 'BRAIN MESH: {percent}%',
+    'mesh.ready': 'BRAIN MESH: READY'
+  },
+
+  tr: {
+    'ui.language': 'DİL',
+    'ui.shape': 'ŞEKİL',
+    'ui.condition': 'DURUM',
+    'ui.quiz': 'SORULAR',
+    'ui.parameters': 'PARAMETRELER',
+    'ui.learning': 'ÖĞRENME',
+    'ui.learningMode': 'Pekiştirmeli öğrenme modu',
+    'ui.actionTaken': 'Yapılan eylem',
+    'ui.habitHint': 'Döngü başına alışkanlık gücü (D1 − D2)',
+    'ui.resetHabits': 'ALIŞKANLIKLARI SIFIRLA',
+    'ui.recording': 'OTURUM KAYDI',
+    'ui.exportCsv': 'CSV DIŞA AKTAR',
+    'ui.exportJson': 'JSON DIŞA AKTAR',
+    'ui.replay': 'YENİDEN OYNAT…',
+    'ui.capture': 'YAKALAMA',
+    'ui.resolution': 'Çözünürlük',
+    'ui.screen': 'Ekran',
+    'ui.frameStepping': 'Kare adımlama',
+    'ui.savePng': 'PNG KAYDET',
+    'ui.recordRun': 'AKIŞI KAYDET (WEBM)',
+    'ui.stopRecording': 'KAYDI DURDUR',
+    'ui.back': 'GERİ',
+    'ui.autoplay': 'Otomatik oynat / duraklat',
+    'ui.loop': 'DÖNGÜ',
+    'ui.loadScenario': 'SENARYO DOSYASI YÜKLE',
+    'ui.close': 'KAPAT',
+    'ui.pointer': 'İMLEÇ',
+    'ui.repelRadius': 'İtme yarıçapı',
+    'ui.repelStrength': 'İtme gücü',
+    'ui.hoverReadout': 'İmlecin altındakini göster',
+    'ui.performance': 'PERFORMANS',
+    'ui.quality': 'Kalite',
+    'ui.qualityAuto': 'Otomatik',
+    'ui.targetFps': 'Hedef kare hızı',
+    'ui.perfHud': 'Performans göstergesini göster',
+    'ui.accessibility': 'ERİŞİLEBİLİRLİK',
+    'ui.reducedMotion': 'Azaltılmış hareket',
+    'ui.pathwayState': 'Yolların durumu',
+    'ui.shortcuts': 'Klavye kısayolları',
+    'ui.scene': 'Bazal ganglion yolları animasyonu. Yolların durumu erişilebilirlik panelinde metin olarak anlatılır.',
+
+    'start.title': 'BAŞLANGIÇ',
+    'start.btn': 'SENARYOYU BAŞLAT',
+
+    'gate.open': 'TALAMİK KAPI: AÇIK → {name}',
+    'gate.closed': 'TALAMİK KAPI: KAPALI',
+
+    'channel.relay': 'Talamik röle · kanal {n}',
+    'legend.channel': '{name} (korteks → striatum → GPi)',
+    'route.direct': 'Doğrudan (Striatum → GPi)',
+    'route.indirect': 'Dolaylı (Striatum → GPe → STN → GPi)',
+    'route.hyperdirect': 'Hiperdoğrudan (Korteks → STN)',
+
+    'region.cortex': 'Frontal Korteks',
+    'region.striatum': 'Striatum',
+    'region.snc': 'Substantia Nigra',
+    'region.gpe': 'Globus Pallidus (Dış)',
+    'region.stn': 'Subtalamik Çekirdek',
+    'region.gpi': 'GPi / SNr',
+    'region.thalamus': 'Talamus',
+
+    'param.hint': 'A seçeneği = {a}, B seçeneği = {b}',
+    'param.tonic': 'Tonik dopamin',
+    'param.phasic': 'Fazik patlama büyüklüğü',
+    'param.rewardA': 'Ödül değeri · A seçeneği',
+    'param.costB': 'Efor maliyeti · B seçeneği',
+    'param.d1Gain': 'D1 reseptör kazancı',
+    'param.d2Gain': 'D2 reseptör kazancı',
+
+    'condition.healthy': 'Sağlıklı',
+    'condition.parkinsons': 'Parkinson',
+    'condition.huntingtons': 'Huntington',
+    'condition.adhd': 'DEHB (düşük tonik dopamin)',
+    'condition.healthy.intro1': 'Durum: Sağlıklı kontrol. SNc çıktısı ve iki striatal yol da sağlam.',
+    'condition.parkinsons.intro1': "Durum: Parkinson tipi dopamin kaybı. SNc nöronlarının ~%80'i kayıp.",
+    'condition.parkinsons.intro2': 'D1 hücreleri dopamin desteğini, D2 hücreleri dopamin frenini kaybeder.',
+    'condition.parkinsons.intro3': 'Beklenen: dolaylı (DUR) yol baskın, GPi/SNr yüksek kalır, talamus kapalı kalır.',
+    'condition.parkinsons.open': 'Parkinson: kapı ancak güçlü kortikal uyarıdan sonra açıldı.',
+    'condition.parkinsons.closed': 'Parkinson: dolaylı yol baskın. Karar DONDU (akinezi).',
+    'condition.huntingtons.intro1': 'Durum: Huntington hastalığı. Dolaylı yolun (D2) striatal nöronları dejenere oluyor.',
+    'condition.huntingtons.intro2': "Striatum artık GPe'yi frenlemiyor, bu yüzden GPi/SNr'nin talamusu baskılaması çöküyor.",
+    'condition.huntingtons.intro3': 'Beklenen: rakip eylemler kapıdan sızar (kore).',
+    'condition.huntingtons.open': 'Huntington: DUR freni yok. Kaybeden kanallar da talamustan sızıyor.',
+    'condition.huntingtons.closed': 'Huntington: kapı kapalı, ama talamustaki arka plan aktivitesi yüksek.',
+    'condition.adhd.intro1': 'Durum: Düşük tonik dopamin (DEHB modeli).',
+    'condition.adhd.intro2': 'Temel striatal uyarı zayıf, bu yüzden anlık ödüllerin fazik patlamaları baskın çıkar.',
+    'condition.adhd.intro3': 'Beklenen: anlık ödül kanalı kapıyı hızla ele geçirir.',
+    'condition.adhd.open': 'Düşük tonik dopamin: anlık ödül kapıyı ele geçirdi.',
+    'condition.adhd.closed': 'Düşük tonik dopamin: uyarılmamış temel durum, henüz eylem seçilmedi.',
+
+    'choice.auto': 'Kapı karar versin',
+    'choice.option': '{name} seç',
+
+    'quiz.score': '{asked} soruda {correct} doğru',
+    'quiz.none': 'Hiçbiri, kapı kapalı kalır',
+    'quiz.watch': 'Talamik kapıyı izleyin…',
+    'quiz.correct': 'Doğru.',
+    'quiz.wrong': 'Tam değil. Cevap: {answer}.',
+
+    'narration.step': 'Adım {n} / {total}: {title}. {desc}',
+    'narration.start': '{title} senaryosu hazır. Başlamak için sağ ok tuşuna basın.',
+    'narration.thought': 'Düşünce: {text}',
+    'narration.balance': '{name}: {balance}.',
+    'narration.gateOpen': 'Talamik kapı {name} için açık.',
+    'narration.gateClosed': 'Talamik kapı kapalı.',
+    'narration.region': '{name}. {function}',
+    'narration.quiz': 'Soru: {question} Açıklamanın altında {count} cevap var.',
+    'narration.paused': 'Duraklatıldı.',
+    'narration.playing': 'Oynatılıyor.',
+
+    'describe.dopamine': 'Dopamin düzeyi {level}.',
+    'describe.channel': '{name}: striatum D1 {d1} Hz, D2 {d2} Hz; GPi/SNr {gpi} Hz; talamus {thalamus} Hz. {balance}; talamik kapı {gate}.',
+    'describe.open': 'açık',
+    'describe.closed': 'kapalı',
+    'balance.boost': 'Doğrudan yol (GİT) baskın',
+    'balance.stall': 'Dolaylı yol (DUR) baskın',
+    'balance.normal': 'Yollar dengede',
+
+    'shortcut.next': 'Sonraki adım',
+    'shortcut.back': 'Önceki adım',
+    'shortcut.play': 'Otomatik oynat / duraklat',
+    'shortcut.regions': 'Bir bölgeye odaklan (anatomi panelini açar)',
+    'shortcut.close': 'Anatomi panelini kapat',
+    'shortcut.describe': 'Yolların durumunu sesli oku',
+    'shortcut.hud': 'Performans göstergesini aç / kapat',
+
+    'hover.fibers': '{count} lif',
+    'hover.fiber': '1 lif',
+
+    'quality.low': 'Düşük',
+    'quality.medium': 'Orta',
+    'quality.high': 'Yüksek',
+    'quality.ultra': 'Ultra',
+    'perf.frame': '{fps} fps · {ms} ms',
+    'perf.draws': '{calls} çizim çağrısı · {triangles} üçgen · {points} nokta',
+    'perf.memory': '{geometries} geometri · {textures} doku · {labels} etiket',
+    'perf.tier': '{tier} ({mode}) · piksel oranı {ratio} · AA {aa}',
+    'perf.auto': 'otomatik',
+    'perf.pinned': 'sabit',
+    'perf.on': 'açık',
+    'perf.off': 'kapalı',
+
+    'record.start': '● KAYIT',
+    'record.stop': '■ DUR',
+    'record.idle': 'Kayıt yok',
+    'record.active': '{time} · {samples} örnek',
+    'record.done': '{time} kaydedildi',
+    'record.replaying': 'Yeniden oynatılıyor {time} / {total}',
+
+    'log.init': 'Sistem: Bazal gangliyonlar başlatılıyor...',
+    'log.on': 'AÇIK',
+    'log.off': 'KAPALI',
+    'log.error': 'HATA: {message}',
+    'log.readout': 'Model: Talamus {rates}. {gate}',
+    'log.gateOpen': "Kapı '{name}' için AÇIK (kazanan hepsini alır).",
+    'log.gateClosed': 'Açık kapı yok.',
+    'log.reset': 'Sistem: Simülasyon sıfırlandı. Yeniden başlatılıyor...',
+    'log.learningIdle': 'Öğrenme: Döngü {cycle}. Eylem yapılmadı, alışkanlıklar gevşiyor.',
+    'log.learningAction': "Öğrenme: Döngü {cycle}. Eylem '{name}', ödül tahmin hatası {rpe}.",
+    'log.learningWeights': "Öğrenme: '{name}' için kortikostriatal ağırlıklar artık D1 {d1} / D2 {d2}.",
+    'log.learningOverride': "Öğrenme: İrade galip geldi. Kapı '{name}' istiyordu.",
+    'log.learningMode': 'Sistem: Öğrenme modu {state}.',
+    'log.habitsReset': 'Sistem: Alışkanlıklar eğitilmemiş ağırlıklara döndü.',
+    'log.quizMode': 'Sistem: Soru modu {state}.',
+    'log.scenarioLoaded': "Sistem: '{title}' senaryosu yüklendi ({count} adım).",
+    'log.scenarioRejected': 'Sistem: Senaryo reddedildi.',
+    'log.meshLoaded': 'Sistem: Beyin yüzey modeli yüklendi.',
+    'log.meshAnchors': 'Sistem: Beyin yüzey modeli yüklendi ({count} bölge noktası).',
+    'log.meshMissing': 'Sistem: Beyin yüzey modeli yok, yalnızca lif modeli gösteriliyor.',
+    'log.recordingStarted': 'Sistem: Oturum kaydı başladı.',
+    'log.recordingStopped': 'Sistem: Oturum kaydı durdu ({samples} örnek, {events} olay).',
+    'log.replayStarted': 'Sistem: {date} tarihli oturum oynatılıyor.',
+    'log.replayStopped': 'Sistem: Oynatma durdu.',
+    'log.replayFinished': 'Sistem: Oynatma bitti.',
+    'log.replayNeedsScenario': "HATA: Bu kaydı oynatmadan önce '{title}' senaryosunu yükleyin.",
+    'log.clipStarted': 'Sistem: Senaryo çalışması kaydediliyor ({width}x{height} @ {fps} fps).',
+    'log.clipFinished': 'Sistem: Klip bitti ({frames} kare). Kodlanıyor...',
+    'log.quality': 'Sistem: Kalite {tier}.',
+    'log.qualityPinned': 'Sistem: Kalite {tier} (sabit).',
+    'log.antialiasOn': 'Sistem: Kenar yumuşatma sayfa yeniden yüklenince açılacak.',
+    'log.antialiasOff': 'Sistem: Kenar yumuşatma sayfa yeniden yüklenince kapanacak.',
+
+    'drawer.function': 'İŞLEV',
+    'drawer.transmitters': 'NÖROTRANSMİTTERLER',
+    'drawer.connections': 'BU MODELDEKİ BAĞLANTILAR',
+    'drawer.showFibers': 'Bu yolun liflerini vurgula',
+    'drawer.rates': 'CANLI ATEŞLEME HIZI',
+    'drawer.dopamine': 'Dopamin düzeyi: {level} (tonik {tonic})',
+
+    'anatomy.cortex.function': 'Aday eylemleri önerir ve striatuma gönderir. Seçilen motor programı serbest bırakan talamik "git" sinyalini alır.',
+    'anatomy.cortex.transmitters': 'Glutamat (uyarıcı)',
+    'anatomy.striatum.function': 'Bazal gangliyonların giriş katmanı. D1 orta dikenli nöronlar doğrudan (GİT) yolu, D2 nöronlar dolaylı (DUR) yolu başlatır.',
+    'anatomy.striatum.transmitters': 'GABA (baskılayıcı), P maddesi (D1 hücreleri) ya da enkefalin (D2 hücreleri) ile',
+    'anatomy.snc.function': 'Substantia nigra pars compacta. Tonik dopamin temel dengeyi belirler; fazik patlamalar ödül tahmin hatalarını bildirir.',
+    'anatomy.snc.transmitters': 'Dopamin',
+    'anatomy.gpe.function': "Globus pallidus eksternus. Dolaylı yolun aktarım istasyonu; STN'yi ve çıkış çekirdeklerini sürekli baskılar.",
+    'anatomy.gpe.transmitters': 'GABA (baskılayıcı)',
+    'anatomy.stn.function': 'Subtalamik çekirdek. Döngünün tek uyarıcı çekirdeği; yaygın çıktısı genel bir fren gibi çalışır ("atlarını tut").',
+    'anatomy.stn.transmitters': 'Glutamat (uyarıcı)',
+    'anatomy.gpi.function': 'Globus pallidus internus / substantia nigra pars reticulata. Kanalı susturulana kadar her eylemi beklemede tutan çıkış katmanı.',
+    'anatomy.gpi.transmitters': 'GABA (baskılayıcı)',
+    'anatomy.thalamus.function': 'Ventral anterior / ventrolateral talamus. Kapısı açılan eylemi motor kortekse geri iletir.',
+    'anatomy.thalamus.transmitters': 'Glutamat (uyarıcı)',
+
+    'connection.corticostriatalD1': 'Kortikostriatal (D1 hücreleri)',
+    'connection.corticostriatalD2': 'Kortikostriatal (D2 hücreleri)',
+    'connection.hyperdirect': 'Hiperdoğrudan',
+    'connection.corticothalamic': 'Kortikotalamik',
+    'connection.dopamine': "Dopamin (D1'i uyarır, D2'yi baskılar)",
+    'connection.direct': 'Doğrudan (D1)',
+    'connection.indirect': 'Dolaylı (D2)',
+    'connection.pallidosubthalamic': 'Pallidosubtalamik',
+    'connection.pallidopallidal': 'Pallidopallidal',
+    'connection.subthalamopallidal': 'Subtalamopallidal (yaygın)',
+    'connection.subthalamonigral': 'Subtalamonigral (yaygın)',
+    'connection.pallidothalamic': 'Pallidotalamik (kapı)',
+
+    'mesh.loading': 'BEYİN MODELİ: YÜKLENİYOR…',
+    'mesh.progress': 'BEYİN MODELİ: %{percent}',
+    'mesh.ready': 'BEYİN MODELİ: HAZIR'
+  }
+};
+
+function storedLocale() {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null; // Storage blocked (private mode, file://)
+  }
+}
+
+// Saved choice first, then the browser language
+function initialLocale() {
+  const stored = storedLocale();
+  if (LOCALES[stored]) return stored;
+  const browser = (navigator.language || '').slice(0, 2);
+  return LOCALES[browser] ? browser : DEFAULT_LOCALE;
+}
+
+let locale = initialLocale();
+
+export function getLocale() {
+  return locale;
+}
+
+/** Switches the language and remembers it for the next visit. */
+export function setLocale(id) {
+  if (!LOCALES[id]) return;
+  locale = id;
+  document.documentElement.lang = id;
+  try {
+    localStorage.setItem(STORAGE_KEY, id);
+  } catch {
+    // Remembered for this visit only
+  }
+}
+
+/** Message `key` in the current language, with {placeholders} filled from `vars`. */
+export function t(key, vars = {}) {
+  const text = MESSAGES[locale][key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+}
+
+export function translatePage(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+  root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+  root.querySelectorAll('[data-i18n-label]').forEach(el => { el.setAttribute('aria-label', t(el.dataset.i18nLabel)); });
+}
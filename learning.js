@@ -0,0 +1,103 @@
+// --- Reinforcement Learning (Habit Formation) ---
+// After every completed decision cycle the chosen channel receives a reward
+// prediction error (RPE). Dopamine carries that error to the striatum, where it
+// strengthens (or weakens) the channel's corticostriatal synapses:
+//   positive RPE → D1 (GO) synapses potentiate, D2 (NO-GO) synapses depress
+//   negative RPE → the reverse
+// Channels that were not chosen slowly relax back towards their untrained state.
+
+export const LEARNING_DEFAULTS = {
+  rate: 0.4,      // α, learning rate of both the value estimate and the weights
+  decay: 0.05,    // Per-cycle relaxation of unchosen channels towards 1.0
+  min: 0.3,       // Synaptic efficacy bounds
+  max: 2.5
+};
+
+function clamp(x, min, max) {
+  return Math.min(max, Math.max(min, x));
+}
+
+export class HabitLearner {
+  constructor(options = {}) {
+    this.options = { ...LEARNING_DEFAULTS, ...options };
+    this.values = {};   // Expected outcome per channel (critic)
+    this.history = [];  // One entry per cycle: { cycle, chosen, rpe, strength: { ch: value } }
+  }
+
+  reset() {
+    this.values = {};
+    this.history = [];
+  }
+
+  /** Net habit strength of a channel: how much GO outweighs NO-GO. */
+  static strength(model, ch) {
+    const p = model.plasticity[ch];
+    return p.d1 - p.d2;
+  }
+
+  /**
+   * Applies one cycle's update to `model.plasticity`. `chosen` may be null when no
+   * gate opened, in which case only the relaxation is applied.
+   * The dopamine gate is the model's phasic burst size: without bursts (e.g.
+   * Parkinsonian depletion) the error cannot be signalled and little is learned.
+   */
+  update(model, chosen, outcome) {
+    const { rate, decay, min, max } = this.options;
+    let rpe = 0;
+
+    model.channels.forEach(ch => {
+      const p = model.plasticity[ch];
+      if (ch === chosen) {
+        const expected = this.values[ch] || 0;
+        rpe = outcome - expected;
+        this.values[ch] = expected + rate * rpe;
+
+        const da = rpe * model.dopamine.phasic;
+        p.d1 = clamp(p.d1 + rate * da * model.dopamine.d1Gain, min, max);
+        p.d2 = clamp(p.d2 - rate * da * model.dopamine.d2Gain, min, max);
+      } else {
+        p.d1 += (1 - p.d1) * decay;
+        p.d2 += (1 - p.d2) * decay;
+      }
+    });
+
+    const strength = {};
+    model.channels.forEach(ch => { strength[ch] = HabitLearner.strength(model, ch); });
+    const entry = { cycle: this.history.length + 1, chosen, rpe, strength };
+    this.history.push(entry);
+    return entry;
+  }
+}
+
+/** Draws habit strength per channel across cycles. `channels` are { id, color }. */
+export function drawHabitChart(canvas, history, channels) {
+  const ctx = canvas.getContext('2d');
+  const w = canvas.width;
+  const h = canvas.height;
+  ctx.clearRect(0, 0, w, h);
+
+  // Zero line: untrained (GO == NO-GO)
+  const range = 2; // Strength axis from -2 to +2
+  const yOf = v => h / 2 - (v / range) * (h / 2) * 0.9;
+  ctx.strokeStyle = 'rgba(255,255,255,0.1)';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(0, h / 2); ctx.lineTo(w, h / 2);
+  ctx.stroke();
+
+  if (!history.length) return;
+  const points = [{ strength: {} }, ...history]; // Cycle 0: everything untrained
+  const step = w / Math.max(1, points.length - 1);
+
+  channels.forEach(ch => {
+    ctx.strokeStyle = ch.color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    points.forEach((entry, i) => {
+      const y = yOf(entry.strength[ch.id] || 0);
+      if (i === 0) ctx.moveTo(0, y);
+      else ctx.lineTo(i * step, y);
+    });
+    ctx.stroke();
+  });
+}
@@ -0,0 +1,71 @@
+// --- Lifecycle ---
+// Owns everything a piece of the scene creates that outlives a function call:
+// pending timers and animation frames, objects added to the scene graph, and
+// GPU resources (geometries, materials, textures). dispose() cancels, removes
+// and frees all of it at once, so a rebuild cannot leave anything behind.
+// Removing a CSS2DObject from its parent also drops its element from the label
+// layer (CSS2DRenderer listens for 'removed').
+
+export class Lifecycle {
+  constructor() {
+    this.timers = new Set();
+    this.frames = new Set();
+    this.objects = new Set();   // Scene graph objects, detached on dispose
+    this.resources = new Set(); // Anything with dispose()
+  }
+
+  /** setTimeout that is cancelled on dispose. */
+  timeout(callback, ms) {
+    const id = setTimeout(() => {
+      this.timers.delete(id);
+      callback();
+    }, ms);
+    this.timers.add(id);
+    return id;
+  }
+
+  /** requestAnimationFrame that is cancelled on dispose. */
+  frame(callback) {
+    const id = requestAnimationFrame(() => {
+      this.frames.delete(id);
+      callback();
+    });
+    this.frames.add(id);
+    return id;
+  }
+
+  /** Adds `object` to `parent` until it is removed or this lifecycle is disposed. */
+  add(object, parent) {
+    parent.add(object);
+    this.objects.add(object);
+    return object;
+  }
+
+  remove(object) {
+    object.removeFromParent();
+    this.objects.delete(object);
+  }
+
+  /** Frees `resource` (a geometry, material or texture) on dispose. */
+  track(resource) {
+    this.resources.add(resource);
+    return resource;
+  }
+
+  /** Frees `resource` now, e.g. a geometry that is being replaced. */
+  release(resource) {
+    resource.dispose();
+    this.resources.delete(resource);
+  }
+
+  dispose() {
+    this.timers.forEach(id => clearTimeout(id));
+    this.frames.forEach(id => cancelAnimationFrame(id));
+    this.objects.forEach(object => object.removeFromParent());
+    this.resources.forEach(resource => resource.dispose());
+    this.timers.clear();
+    this.frames.clear();
+    this.objects.clear();
+    this.resources.clear();
+  }
+}
@@ -1,7 +1,26 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { CSS2DRenderer, CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
 import { data } from './data.js';
+import { BasalGangliaModel, CONNECTIONS, DEFAULT_WEIGHTS, REGION_NUCLEI } from './model.js';
+import { CONDITIONS, DEFAULT_CONDITION } from './conditions.js';
+import { HabitLearner, drawHabitChart } from './learning.js';
+import { DEFAULT_EASING, EASINGS } from './easing.js';
+import { PLAYBACK_SPEEDS, Timeline } from './timeline.js';
+import { Lifecycle } from './lifecycle.js';
+import { FixedStepClock, SIM_RATE, SIM_STEP, tickBlend } from './clock.js';
+import { QuizScore, quizAnswer, quizOptions } from './quiz.js';
+import { Narrator, SettledValue, describePathways } from './narration.js';
+import { FiberProbe, curveNear, sampleCurve } from './pointer.js';
+import { readUrlState, writeUrlState } from './urlstate.js';
+import { RecordingPlayer, SessionRecorder, parseRecording } from './recorder.js';
+import { ClipRecorder, captureImage } from './capture.js';
+import { QUALITY_TIERS, QualityGovernor, TARGET_FPS, storedTier } from './quality.js';
+import { createParameterPanel, defaultParameters } from './parameters.js';
+import { DEFAULT_CHANNELS, DEFAULT_SCENARIO, LOG_STAGGER, loadScenario, localizeScenario, resolveAnchor, scenarioChannels, scenarioUrl } from './scenario.js';
+import { LOCALES, getLocale, setLocale, t, translatePage } from './i18n.js';
 
 // --- Utils ---
 function randomRange(min, max) {
@@ -10,17 +29,34 @@ function randomRange(min, max) {
 
 // --- Shaders ---
 
+// Particles flow along the curves baked into curveTexture (see bakeCurves());
+// `position` is where a particle morphs in from when the shape changes
 const BrainParticleShader = {
   vertexShader: `
     uniform float time;
-    varying vec2 vUv;
-    varying float vProgress;
+    uniform float size;
+    uniform float morph;
+    uniform sampler2D curveTexture;
     attribute float randoms;
+    attribute float curveIndex;
+    attribute float curveOffset; // Start position along the curve, 0..1
+    attribute float curveSpeed; // Curve lengths per second
+
+    // Point at arc-length fraction u of a curve, between its two nearest samples
+    vec3 curvePoint(int row, float u) {
+      float x = u * float(CURVE_SAMPLES - 1);
+      int i = int(floor(x));
+      vec3 a = texelFetch(curveTexture, ivec2(i, row), 0).xyz;
+      vec3 b = texelFetch(curveTexture, ivec2(min(i + 1, CURVE_SAMPLES - 1), row), 0).xyz;
+      return mix(a, b, fract(x));
+    }
+
     void main() {
-      vUv = uv;
-      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-      vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
-      gl_PointSize = randoms * 2. * (1. / -mvPosition.z);
+      vec3 p = curvePoint(int(curveIndex + 0.5), fract(curveOffset + curveSpeed * time));
+      p = mix(position, p, morph);
+      vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);
+      gl_Position = projectionMatrix * mvPosition;
+      gl_PointSize = size * randoms * 2. * (1. / -mvPosition.z);
     }
   `,
   fragmentShader: `
@@ -33,23 +69,33 @@ const BrainParticleShader = {
   `
 };
 
+// All fibers share one merged geometry: `progress` runs 0..1 along each fiber,
+// `curveId` indexes highlightTexture (see highlightFibers())
 const BrainTubeShader = {
   vertexShader: `
-    varying vec2 vUv;
+    varying float vAlong;
+    varying float vHighlight;
+    attribute float progress;
+    attribute float curveId;
+    uniform sampler2D highlightTexture;
     uniform float time;
-    uniform vec3 mouse;
+    uniform float flowSpeed;
+    uniform vec3 mouse; // Repel point in world space (the tubes are not transformed)
+    uniform float repelRadius;
+    uniform float repelStrength;
     varying float vProgress;
     void main() {
-      vUv = uv;
-      vProgress = smoothstep(-1., 1., sin(vUv.x*8. + time * 3.));
+      vAlong = progress;
+      vProgress = smoothstep(-1., 1., sin(progress*8. + time * flowSpeed));
+      int id = int(curveId + 0.5);
+      vHighlight = texelFetch(highlightTexture, ivec2(id % HIGHLIGHT_WIDTH, id / HIGHLIGHT_WIDTH), 0).r;
       
       vec3 p = position;
-      float maxDist = 0.05;
       float dist = length(mouse - p);
-      if (dist < maxDist) {
+      if (dist < repelRadius) {
         vec3 dir = normalize(mouse - p);
-        dir*=1. - dist/maxDist; 
-        p -= dir * 0.03;
+        dir*=1. - dist/repelRadius; 
+        p -= dir * repelStrength;
       }
       
       gl_Position = projectionMatrix * modelViewMatrix * vec4(p, 1.0);
@@ -58,14 +104,43 @@ const BrainTubeShader = {
   fragmentShader: `
     uniform float time;
     uniform vec3 color;
-    varying vec2 vUv;
+    uniform vec3 highlightColor;
+    uniform float opacity;
+    varying float vAlong;
+    varying float vHighlight;
     varying float vProgress;
     void main() {
-      float hideCorners1 = smoothstep(1., 0.9, vUv.x);
-      float hideCorners2 = smoothstep(0., 0.1, vUv.x);
+      float hideCorners1 = smoothstep(1., 0.9, vAlong);
+      float hideCorners2 = smoothstep(0., 0.1, vAlong);
       vec3 finalColor = mix(color, color*0.25, vProgress);
+      finalColor = mix(finalColor, highlightColor, vHighlight * 0.7);
       gl_FragColor.rgba = vec4(vec3(finalColor), 1.);
-      gl_FragColor.rgba = vec4(finalColor, hideCorners1 * hideCorners2);
+      gl_FragColor.rgba = vec4(finalColor, hideCorners1 * hideCorners2 * opacity);
+    }
+  `
+};
+
+// Translucent "glass" surface for the anatomical brain mesh: fresnel rim, clear center
+const BrainSurfaceShader = {
+  vertexShader: `
+    varying vec3 vNormal;
+    varying vec3 vViewDir;
+    void main() {
+      vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+      vNormal = normalize(normalMatrix * normal);
+      vViewDir = normalize(-mvPosition.xyz);
+      gl_Position = projectionMatrix * mvPosition;
+    }
+  `,
+  fragmentShader: `
+    uniform vec3 color;
+    uniform float opacity;
+    varying vec3 vNormal;
+    varying vec3 vViewDir;
+    void main() {
+      float rim = 1.0 - abs(dot(normalize(vNormal), normalize(vViewDir)));
+      float alpha = opacity * pow(rim, 2.5);
+      gl_FragColor = vec4(color * (0.4 + rim), alpha);
     }
   `
 };
@@ -78,12 +153,17 @@ const scene = new THREE.Scene();
 const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.001, 5);
 camera.position.set(0, 0, 0.3);
 
-const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+// Starts at the tier that held up on the last visit; antialiasing can only be
+// chosen here, when the WebGL context is created (see Performance)
+const governor = new QualityGovernor(storedTier());
+const renderer = new THREE.WebGLRenderer({ antialias: governor.settings.antialias, alpha: true });
 renderer.setSize(window.innerWidth, window.innerHeight);
-renderer.setPixelRatio(window.devicePixelRatio);
+renderer.setPixelRatio(tierPixelRatio());
 renderer.domElement.style.position = 'absolute';
 renderer.domElement.style.top = '0px';
 renderer.domElement.style.zIndex = '1'; // WebGL behind labels
+renderer.domElement.setAttribute('role', 'img');
+renderer.domElement.dataset.i18nLabel = 'ui.scene';
 container.appendChild(renderer.domElement);
 
 const labelRenderer = new CSS2DRenderer();
@@ -92,9 +172,11 @@ labelRenderer.domElement.style.position = 'absolute';
 labelRenderer.domElement.style.top = '0px';
 labelRenderer.domElement.style.pointerEvents = 'none'; // Allow clicks to pass through
 labelRenderer.domElement.style.zIndex = '2'; // Labels on top
+labelRenderer.domElement.setAttribute('aria-hidden', 'true'); // Narrated instead (see Accessibility)
 container.appendChild(labelRenderer.domElement);
 
-const controls = new OrbitControls(camera, labelRenderer.domElement); // Controls need to capture events on the top layer
+// The label layer has pointerEvents 'none', so pointer input reaches the WebGL canvas underneath
+const controls = new OrbitControls(camera, renderer.domElement);
 controls.enableDamping = true;
 
 // --- Scientific Labels ---
@@ -110,77 +192,76 @@ function createLabel(text, position, className = 'label') {
 }
 
 // Positions estimated relative to our model scale
-labels['cortex'] = createLabel('Frontal Cortex', new THREE.Vector3(0, 0.25, 0.2), 'label label-cortex');
-labels['striatum'] = createLabel('Striatum', new THREE.Vector3(0, 0.05, 0.05), 'label label-striatum');
-labels['snc'] = createLabel('Substantia Nigra', new THREE.Vector3(-0.05, -0.05, -0.05), 'label label-snc');
-labels['gpe'] = createLabel('Globus Pallidus (External)', new THREE.Vector3(0.05, -0.02, 0.02), 'label label-gpe');
-labels['thalamus'] = createLabel('Thalamus', new THREE.Vector3(0, -0.15, -0.05), 'label label-thalamus');
+const REGIONS = {
+  cortex: { position: new THREE.Vector3(0, 0.25, 0.2) },
+  striatum: { position: new THREE.Vector3(0, 0.05, 0.05) },
+  snc: { position: new THREE.Vector3(-0.05, -0.05, -0.05) },
+  gpe: { position: new THREE.Vector3(0.05, -0.02, 0.02) },
+  stn: { position: new THREE.Vector3(0.05, -0.1, -0.03) },
+  gpi: { position: new THREE.Vector3(0, -0.08, -0.02) }, // Where the channel paths converge
+  thalamus: { position: new THREE.Vector3(0, -0.15, -0.05) }
+};
+
+Object.entries(REGIONS).forEach(([id, region]) => {
+  labels[id] = createLabel(t(`region.${id}`), region.position, `label label-${id}`);
+  labels[id].div.dataset.i18n = `region.${id}`;
+  labels[id].div.addEventListener('click', () => openRegionDrawer(id));
+});
+
+// Invisible pick volumes around each region, the raycast targets for clicks in the scene
+const regionVolumes = new THREE.Group();
+Object.entries(REGIONS).forEach(([id, region]) => {
+  const volume = new THREE.Mesh(
+    new THREE.SphereGeometry(0.02, 12, 12),
+    new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0, depthWrite: false })
+  );
+  volume.position.copy(region.position);
+  volume.userData.regionId = id;
+  region.volume = volume;
+  regionVolumes.add(volume);
+});
+scene.add(regionVolumes);
 
 function updateLabels() {
   // Reset active pulse from all
   Object.values(labels).forEach(l => {
     l.div.classList.remove('active-pulse');
-    l.div.classList.remove('visible'); // We will re-add visible cumulatively
+    l.div.classList.remove('visible');
   });
 
-  // Always show context
-  labels['cortex'].div.classList.add('visible');
-  labels['striatum'].div.classList.add('visible');
-
-  // Accumulate visibility (Context Aware: logic builds up)
-  if (currentStep >= 1) { // Step 1: Dopamine
-    labels['snc'].div.classList.add('visible');
-    if (currentStep === 1) labels['snc'].div.classList.add('active-pulse');
-  }
-
-  if (currentStep >= 2) { // Step 2: Cost (GPe is involved in braking)
-    labels['gpe'].div.classList.add('visible');
-    if (currentStep === 2) labels['gpe'].div.classList.add('active-pulse');
-  }
-
-  if (currentStep >= 3) { // Step 3: Action (Thalamus opens)
-    labels['thalamus'].div.classList.add('visible');
-    if (currentStep === 3) labels['thalamus'].div.classList.add('active-pulse');
-  }
+  const s = steps[currentStep];
+  if (!s) return;
 
-  // Spawn thoughts based on step (Only once per entry to step)
-  if (currentStep !== lastStep) {
-    spawnStepThoughts(currentStep);
-  }
+  // Each step declares its full label state, so visibility can build up (or not) per scenario
+  const visible = (s.labels && s.labels.visible) || [];
+  const pulse = (s.labels && s.labels.pulse) || [];
+  visible.forEach(id => labels[id].div.classList.add('visible'));
+  pulse.forEach(id => labels[id].div.classList.add('visible', 'active-pulse'));
 }
 
-let lastStep = -1;
-
-// Brain regions for thoughts - Adjusted to be closer (Tighter)
-const LOCATION_PHONE = new THREE.Vector3(-0.12, 0.02, 0.05); // Closer to center
-const LOCATION_SPORT = new THREE.Vector3(0.12, 0.02, 0.05);
-const LOCATION_TOP = new THREE.Vector3(0, 0.12, 0); // Lowered closer to cortex
+// Thought bubbles live on the timeline: they expire in timeline seconds, so they
+// freeze while paused and are cleared on every seek.
+const THOUGHT_LIFETIME = 4.5; // Plus up to 1s of random spread
+const THOUGHT_FADE = 0.5;
+const thoughtLife = new Lifecycle(); // Bubble labels and their fade-in frames
+let thoughtBubbles = [];
 
-function spawnStepThoughts(step) {
-  const thoughts = [];
-
-  if (step === 1) { // Dopamine (Phone related)
-    thoughts.push({ text: "Ooh, notification!", delay: 0, pos: LOCATION_PHONE });
-    thoughts.push({ text: "Looks fun!", delay: 800, pos: LOCATION_PHONE });
-    thoughts.push({ text: "Instant reward...", delay: 1500, pos: LOCATION_PHONE });
-  } else if (step === 2) { // Cost (Sport related)
-    thoughts.push({ text: "Too tired for gym...", delay: 0, pos: LOCATION_SPORT });
-    thoughts.push({ text: "Maybe tomorrow?", delay: 1000, pos: LOCATION_SPORT });
-    thoughts.push({ text: "So much effort.", delay: 2000, pos: LOCATION_SPORT });
-  } else if (step === 3) { // Action (Decision)
-    thoughts.push({ text: "Phone it is.", delay: 0, pos: LOCATION_TOP });
-    thoughts.push({ text: "Just 5 minutes.", delay: 1000, pos: LOCATION_TOP });
-  }
+function thoughtCues(step) {
+  const thoughts = step.thoughts || [];
 
   // Use index to vertically stack thoughts to avoid overlap
-  thoughts.forEach((t, index) => {
-    setTimeout(() => {
-      spawnThought(t.text, t.pos, index);
-    }, t.delay);
-  });
+  return thoughts.map((t, index) => ({
+    at: (t.delay || 0) / 1000,
+    run: (late) => {
+      const lifetime = THOUGHT_LIFETIME + Math.random();
+      if (late >= lifetime) return; // Already gone at this point of the timeline
+      const pos = new THREE.Vector3().fromArray(resolveAnchor(scenario, t.anchor, channelAnchors()));
+      spawnThought(t.text, pos, index, lifetime - late);
+    }
+  }));
 }
 
-function spawnThought(text, basePos, stackIndex = 0) {
+function spawnThought(text, basePos, stackIndex = 0, lifetime = THOUGHT_LIFETIME) {
   const div = document.createElement('div');
   div.className = 'thought-bubble';
   div.textContent = text;
@@ -194,27 +275,71 @@ function spawnThought(text, basePos, stackIndex = 0) {
   const z = basePos.z;
 
   label.position.set(x, y, z);
-  scene.add(label);
+  thoughtLife.add(label, scene);
 
   // Animate In
-  requestAnimationFrame(() => {
+  thoughtLife.frame(() => {
     div.classList.add('visible');
   });
 
-  // Remove after longer time: 4-6 seconds
-  setTimeout(() => {
-    div.classList.remove('visible');
-    setTimeout(() => {
-      scene.remove(label);
-    }, 500);
-  }, 4500 + Math.random() * 1000);
+  thoughtBubbles.push({ label, div, expires: timeline.time + lifetime });
+  narrator.say(t('narration.thought', { text }));
+}
+
+function updateThoughtBubbles() {
+  thoughtBubbles = thoughtBubbles.filter(b => {
+    if (timeline.time >= b.expires) b.div.classList.remove('visible');
+    if (timeline.time < b.expires + THOUGHT_FADE) return true;
+    thoughtLife.remove(b.label);
+    return false;
+  });
+}
+
+function clearThoughtBubbles() {
+  thoughtLife.dispose();
+  thoughtBubbles = [];
 }
 
 
 // --- Data Processing ---
 
-function createBrainCurvesFromPaths() {
-  const paths = data.economics[0].paths;
+// Every entry of every dataset in data.js is a selectable shape, e.g. "crypto-2"
+const DATASETS = {};
+Object.entries(data).forEach(([key, entries]) => {
+  entries.forEach((entry, i) => {
+    const name = key.charAt(0).toUpperCase() + key.slice(1) + (entries.length > 1 ? ` ${i + 1}` : '');
+    DATASETS[`${key}-${i + 1}`] = { name: name, entry: entry };
+  });
+});
+const DEFAULT_DATASET = 'economics-1';
+
+// Meaning of the seven numbers in each dataset's `settings` array, in order.
+// A 0 (or missing) entry keeps the default, which reproduces the original look.
+const DATASET_SETTINGS = [
+  { name: 'particleSize', fallback: 1, decode: v => Math.sqrt(v) },                   // Point size multiplier
+  { name: 'hueShift', fallback: 0, decode: v => v },                                  // Degrees to rotate the base blue
+  { name: 'density', fallback: 10, decode: v => Math.max(1, Math.round(v / 3)) },     // Particles per curve
+  { name: 'tubeRadius', fallback: 0.001, decode: v => v * 0.0005 },
+  { name: 'radialSegments', fallback: 2, decode: v => Math.max(2, Math.round(v)) },
+  { name: 'particleSpeed', fallback: 0.01, decode: v => v / 3000 },                   // Max curve progress per frame
+  { name: 'flowSpeed', fallback: 3, decode: v => v * 0.6 }                            // Tube shader wave speed
+];
+
+const BASE_COLOR = new THREE.Color(0.1, 0.3, 0.6);
+
+function decodeSettings(settings = []) {
+  const decoded = {};
+  DATASET_SETTINGS.forEach((s, i) => {
+    const raw = settings[i];
+    decoded[s.name] = raw ? s.decode(raw) : s.fallback;
+  });
+  decoded.color = BASE_COLOR.clone().offsetHSL(decoded.hueShift / 360, 0, 0);
+  return decoded;
+}
+
+let look = decodeSettings(); // Decoded settings of the current dataset
+
+function createBrainCurvesFromPaths(paths) {
   const brainCurves = [];
 
   paths.forEach(path => {
@@ -231,16 +356,26 @@ function createBrainCurvesFromPaths() {
   return brainCurves;
 }
 
-const curves = createBrainCurvesFromPaths();
-
 // --- Components ---
 
 // 1. Tubes
+// One merged mesh for every fiber of the shape, so a single draw call. Fibers
+// are lit up individually through a mask texture with one texel per curve.
+const TUBE_SEGMENTS = 64;
+const HIGHLIGHT_WIDTH = 1024; // Mask texels per row
+
 const tubeMaterial = new THREE.ShaderMaterial({
+  defines: { HIGHLIGHT_WIDTH },
   uniforms: {
     time: { value: 0 },
     color: { value: new THREE.Color(0.1, 0.3, 0.6) },
-    mouse: { value: new THREE.Vector3(0, 0, 0) }
+    highlightColor: { value: new THREE.Color(0.6, 0.9, 1.0) },
+    highlightTexture: { value: null },
+    mouse: { value: new THREE.Vector3(0, 0, 0) },
+    repelRadius: { value: 0.05 },
+    repelStrength: { value: 0 }, // Faded in while the pointer is over a fiber
+    opacity: { value: 1 },
+    flowSpeed: { value: 3 }
   },
   vertexShader: BrainTubeShader.vertexShader,
   fragmentShader: BrainTubeShader.fragmentShader,
@@ -251,19 +386,60 @@ const tubeMaterial = new THREE.ShaderMaterial({
   blending: THREE.AdditiveBlending
 });
 
-const tubesMesh = new THREE.Group();
-curves.forEach(curve => {
-  const geometry = new THREE.TubeGeometry(curve, 64, 0.001, 2, false);
-  const mesh = new THREE.Mesh(geometry, tubeMaterial);
-  tubesMesh.add(mesh);
-});
-scene.add(tubesMesh);
+function createTubes(curves, material, settings) {
+  const radialSegments = Math.min(settings.radialSegments, governor.settings.radialSegments);
+  const parts = curves.map((curve, id) => {
+    const geometry = new THREE.TubeGeometry(curve, TUBE_SEGMENTS, settings.tubeRadius, radialSegments, false);
+    const uv = geometry.attributes.uv;
+    const progress = new Float32Array(uv.count);
+    for (let i = 0; i < uv.count; i++) progress[i] = uv.getX(i);
+    geometry.setAttribute('progress', new THREE.BufferAttribute(progress, 1));
+    geometry.setAttribute('curveId', new THREE.BufferAttribute(new Float32Array(uv.count).fill(id), 1));
+    // Only what the shader reads is merged
+    geometry.deleteAttribute('uv');
+    geometry.deleteAttribute('normal');
+    return geometry;
+  });
+  const geometry = mergeGeometries(parts);
+  parts.forEach(part => part.dispose());
+  return new THREE.Mesh(geometry, material);
+}
+
+function createFiberHighlight(count) {
+  const rows = Math.max(1, Math.ceil(count / HIGHLIGHT_WIDTH));
+  const texture = new THREE.DataTexture(new Uint8Array(HIGHLIGHT_WIDTH * rows), HIGHLIGHT_WIDTH, rows, THREE.RedFormat, THREE.UnsignedByteType);
+  texture.needsUpdate = true;
+  return texture;
+}
+
+let fiberHighlight = null; // Mask texture of the current shape
+let highlightedFibers = '';
+
+// Lights up the given fibers (indices into `curves`) and dims all others back
+function highlightFibers(ids) {
+  const key = ids.join(',');
+  if (key === highlightedFibers) return;
+  highlightedFibers = key;
+  const mask = fiberHighlight.image.data;
+  mask.fill(0);
+  ids.forEach(id => { mask[id] = 255; });
+  fiberHighlight.needsUpdate = true;
+}
 
 // 2. Particles
+// The flow runs on the GPU: the curves are baked once per shape into a float
+// texture, one row per curve, and every particle only carries its curve row,
+// start offset and speed. Nothing is updated per frame on the CPU.
+const CURVE_SAMPLES = 128; // Points per curve row, evenly spaced by arc length
+
 const particleMaterial = new THREE.ShaderMaterial({
+  defines: { CURVE_SAMPLES },
   uniforms: {
     time: { value: 0 },
-    color: { value: new THREE.Color(0.1, 0.3, 0.6) }
+    color: { value: new THREE.Color(0.1, 0.3, 0.6) },
+    size: { value: 1 },
+    morph: { value: 1 }, // 0..1 from `position` to the flow
+    curveTexture: { value: null }
   },
   vertexShader: BrainParticleShader.vertexShader,
   fragmentShader: BrainParticleShader.fragmentShader,
@@ -273,160 +449,448 @@ const particleMaterial = new THREE.ShaderMaterial({
   blending: THREE.AdditiveBlending
 });
 
-const density = 10;
-const numberOfPoints = density * curves.length;
-const particlePositions = new Float32Array(numberOfPoints * 3);
-const particleRandoms = new Float32Array(numberOfPoints);
+function bakeCurves(curves) {
+  const data = new Float32Array(CURVE_SAMPLES * curves.length * 4);
+  curves.forEach((curve, row) => {
+    curve.getSpacedPoints(CURVE_SAMPLES - 1).forEach((p, i) => p.toArray(data, (row * CURVE_SAMPLES + i) * 4));
+  });
+  const texture = new THREE.DataTexture(data, CURVE_SAMPLES, Math.max(1, curves.length), THREE.RGBAFormat, THREE.FloatType);
+  texture.needsUpdate = true;
+  return texture;
+}
 
-for (let i = 0; i < numberOfPoints; i++) {
-  particlePositions[i * 3] = randomRange(-1, 1);
-  particlePositions[i * 3 + 1] = randomRange(-1, 1);
-  particlePositions[i * 3 + 2] = randomRange(-1, 1);
-  particleRandoms[i] = randomRange(0.3, 1);
+// The particle shader's clock wraps after PARTICLE_PERIOD seconds: a float32
+// scene time would make the flow jitter after a few hours. Speeds are rounded
+// to whole laps per period, so every particle is back at its start on the wrap.
+const PARTICLE_PERIOD = 600; // seconds
+
+function particleTime() {
+  return sceneTime % PARTICLE_PERIOD;
 }
 
-const particleGeometry = new THREE.BufferGeometry();
-particleGeometry.setAttribute('position', new THREE.BufferAttribute(particlePositions, 3));
-particleGeometry.setAttribute('randoms', new THREE.BufferAttribute(particleRandoms, 1));
+// CPU copy of the shader's flow, to hand the current particle positions over to the next shape
+function particlePositions(geometry, texture, time) {
+  const data = texture.image.data;
+  const { curveIndex, curveOffset, curveSpeed } = geometry.attributes;
+  const positions = new Float32Array(curveIndex.count * 3);
+  for (let n = 0; n < curveIndex.count; n++) {
+    const u = (curveOffset.array[n] + curveSpeed.array[n] * time) % 1;
+    const x = u * (CURVE_SAMPLES - 1);
+    const i = Math.floor(x);
+    const a = (curveIndex.array[n] * CURVE_SAMPLES + i) * 4;
+    const b = (curveIndex.array[n] * CURVE_SAMPLES + Math.min(i + 1, CURVE_SAMPLES - 1)) * 4;
+    for (let c = 0; c < 3; c++) positions[n * 3 + c] = THREE.MathUtils.lerp(data[a + c], data[b + c], x - i);
+  }
+  return positions;
+}
 
-const particlesMesh = new THREE.Points(particleGeometry, particleMaterial);
-scene.add(particlesMesh);
+// `from` (optional) is a position array of the previous shape's particles to morph out of
+function createParticles(curves, settings, from) {
+  const density = Math.max(1, Math.round(settings.density * governor.settings.particles));
+  const numberOfPoints = density * curves.length;
+  const startPositions = new Float32Array(numberOfPoints * 3);
+  const curveIndices = new Float32Array(numberOfPoints);
+  const offsets = new Float32Array(numberOfPoints);
+  const speeds = new Float32Array(numberOfPoints);
+  const particleRandoms = new Float32Array(numberOfPoints);
+
+  for (let i = 0; i < numberOfPoints; i++) {
+    curveIndices[i] = Math.floor(i / density);
+    offsets[i] = Math.random();
+    const speed = Math.random() * settings.particleSpeed * SIM_RATE; // Dataset speeds are per tick; curve lengths per second
+    speeds[i] = Math.round(speed * PARTICLE_PERIOD) / PARTICLE_PERIOD;
+    particleRandoms[i] = randomRange(0.3, 1);
+    if (from && from.length) {
+      // Reuse old particles (wrapping around if the new shape has more of them)
+      const k = (i % (from.length / 3)) * 3;
+      startPositions.set(from.subarray(k, k + 3), i * 3);
+    }
+  }
 
-const myPoints = [];
-for (let i = 0; i < curves.length; i++) {
-  for (let j = 0; j < density; j++) {
-    myPoints.push({
-      currentOffset: Math.random(),
-      speed: Math.random() * 0.01,
-      curve: curves[i],
-      curPosition: Math.random(),
-    });
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(startPositions, 3));
+  geometry.setAttribute('curveIndex', new THREE.BufferAttribute(curveIndices, 1));
+  geometry.setAttribute('curveOffset', new THREE.BufferAttribute(offsets, 1));
+  geometry.setAttribute('curveSpeed', new THREE.BufferAttribute(speeds, 1));
+  geometry.setAttribute('randoms', new THREE.BufferAttribute(particleRandoms, 1));
+
+  const mesh = new THREE.Points(geometry, particleMaterial);
+  mesh.frustumCulled = false; // Positions are only known on the GPU
+  return { mesh: mesh, geometry: geometry, texture: bakeCurves(curves) };
+}
+
+let curves = [];
+let tubesMesh = null;
+let tubesLife = null;     // Tube mesh, geometry and highlight mask of the current shape
+let particlesLife = null; // Points, geometry and curve texture of the current shape
+let particleGeometry = null;
+let curveTexture = null;
+
+// --- Dataset Switching (morph between shapes) ---
+const MORPH_DURATION = 1.5; // seconds
+let morph = null; // { start, outgoing } while a transition runs
+let currentDataset = null;
+
+function setDataset(id) {
+  if (!DATASETS[id] || id === currentDataset) return;
+  currentDataset = id;
+  buildShape();
+}
+
+// (Re)builds the current dataset's tubes and particles, morphing out of whatever is shown
+function buildShape() {
+  const id = currentDataset;
+  const nextCurves = createBrainCurvesFromPaths(DATASETS[id].entry.paths);
+  const firstBuild = !tubesLife;
+
+  // The old tubes keep a cloned material so they can fade out on their own
+  if (morph) finishMorph();
+  let outgoing = null;
+  if (!firstBuild) {
+    outgoing = { mesh: tubesMesh, life: tubesLife };
+    tubesMesh.material = tubesLife.track(tubeMaterial.clone());
+    tubesLife.track(tubesMesh.material.uniforms.highlightTexture.value);
+    tubesLife.release(fiberHighlight); // The clone holds its own copy
+  }
+
+  const previousPositions = particleGeometry ? particlePositions(particleGeometry, curveTexture, particleTime()) : null;
+  if (particlesLife) particlesLife.dispose();
+
+  curves = nextCurves;
+  look = decodeSettings(DATASETS[id].entry.settings);
+  tubeMaterial.uniforms.color.value.copy(look.color);
+  tubeMaterial.uniforms.flowSpeed.value = look.flowSpeed;
+  particleMaterial.uniforms.size.value = look.particleSize;
+
+  tubesLife = new Lifecycle();
+  fiberHighlight = tubesLife.track(createFiberHighlight(curves.length));
+  highlightedFibers = '';
+  tubeMaterial.uniforms.highlightTexture.value = fiberHighlight;
+  tubesMesh = tubesLife.add(createTubes(curves, tubeMaterial, look), scene);
+  tubesLife.track(tubesMesh.geometry);
+
+  particlesLife = new Lifecycle();
+  const particles = createParticles(curves, look, firstBuild ? null : previousPositions);
+  particleGeometry = particlesLife.track(particles.geometry);
+  curveTexture = particlesLife.track(particles.texture);
+  particleMaterial.uniforms.curveTexture.value = curveTexture;
+  particlesLife.add(particles.mesh, scene);
+
+  if (!firstBuild) {
+    tubeMaterial.uniforms.opacity.value = 0;
+    particleMaterial.uniforms.morph.value = 0;
+    morph = { start: sceneTime, outgoing: outgoing };
   }
 }
 
+function finishMorph() {
+  morph.outgoing.life.dispose();
+  tubeMaterial.uniforms.opacity.value = 1;
+  particleMaterial.uniforms.morph.value = 1;
+  morph = null;
+}
+
+function updateMorph(time) {
+  if (!morph) return;
+  const t = Math.min(1, (time - morph.start) / MORPH_DURATION);
+  const eased = EASINGS.easeInOutCubic(t);
+  tubeMaterial.uniforms.opacity.value = eased;
+  particleMaterial.uniforms.morph.value = eased;
+  morph.outgoing.mesh.material.uniforms.opacity.value = 1 - eased;
+  if (t >= 1) finishMorph();
+}
+
+setDataset(DEFAULT_DATASET);
+
 // --- Basal Ganglia Simulation Integration ---
 const pathways = [];
 let currentStep = -1;
-let phoneActivity = 0.1;
-let sportActivity = 0.1;
 
-function createNeuralPath(points, colorHex, id) {
+const PATH_RADIUS = 0.002; // Tube radius before learning thickens or thins it
+
+function createNeuralPath(points, colorHex, id, activity, pulseCount = 15) {
   const curve = new THREE.CatmullRomCurve3(points);
 
   // 1. Yolun kendisi (Soluk Çizgi)
   // Scale tube radius down significantly (0.08 -> 0.002)
-  const tubeGeo = new THREE.TubeGeometry(curve, 64, 0.002, 8, false);
-  const tubeMat = new THREE.MeshBasicMaterial({
+  const life = new Lifecycle();
+  const tubeGeo = life.track(new THREE.TubeGeometry(curve, 64, PATH_RADIUS, 8, false));
+  const tubeMat = life.track(new THREE.MeshBasicMaterial({
     color: colorHex,
     transparent: true,
     opacity: 0.05,
     blending: THREE.AdditiveBlending
-  });
-  const tubeMesh = new THREE.Mesh(tubeGeo, tubeMat);
-  scene.add(tubeMesh);
+  }));
+  const tubeMesh = life.add(new THREE.Mesh(tubeGeo, tubeMat), scene);
 
   // 2. Sinyal Paketleri
   const pulses = [];
-  const pulseCount = 15;
 
   // Scale sphere radius down (0.12 -> 0.005 -> 0.0025)
   // Making them subtle nodes
-  const pGeo = new THREE.SphereGeometry(0.0025, 8, 8);
-  const pMat = new THREE.MeshBasicMaterial({ color: 0xffffff });
+  const pGeo = life.track(new THREE.SphereGeometry(0.0025, 8, 8));
 
   for (let i = 0; i < pulseCount; i++) {
-    const mesh = new THREE.Mesh(pGeo, pMat.clone());
-    mesh.material.color.setHex(colorHex);
-
-    scene.add(mesh);
+    // Own material per pulse: conditions and pulse styles recolor them one by one
+    const pMat = life.track(new THREE.MeshBasicMaterial({ color: colorHex }));
+    const mesh = life.add(new THREE.Mesh(pGeo, pMat), scene);
     pulses.push({
       mesh: mesh,
       progress: i / pulseCount,
-      speed: 0.002,
+      speed: 0.002, // Progress per simulation tick
       active: true
     });
   }
 
-  pathways.push({
+  const path = {
     id: id,
+    activity: activity,
     curve: curve,
+    samples: sampleCurve(curve), // For hover hit tests (see pointer.js)
     pulses: pulses,
     baseColor: new THREE.Color(colorHex),
-    tubeMat: tubeMat
-  });
-}
-
-// Scale factor: reduced further to fit inside brain (approx 0.025 scale relative to original sample)
-// Phone Yolu (Left Hemisphere Internal)
-createNeuralPath(
-  [
-    new THREE.Vector3(-0.1, 0.08, 0.05),
-    new THREE.Vector3(-0.05, 0.02, 0.02),
-    new THREE.Vector3(-0.02, -0.02, 0),
-    new THREE.Vector3(0, -0.08, -0.02)
-  ],
-  0x00ffff, "phone"
-);
-
-// Sport Yolu (Right Hemisphere Internal)
-createNeuralPath(
-  [
-    new THREE.Vector3(0.1, 0.08, 0.05),
-    new THREE.Vector3(0.05, 0.02, 0.02),
-    new THREE.Vector3(0.02, -0.02, 0),
-    new THREE.Vector3(0, -0.08, -0.02)
-  ],
-  0xff8800, "sport"
-);
-
-// Simulation State Logic - Enhanced with Logs & Accurate Hz
-const steps = [
-  {
-    title: "SITUATION ANALYSIS",
-    desc: "Brain receives sensory inputs. Both main pathways are active at baseline firing rates.",
-    phone: 0.3, sport: 0.3, // 0.3 ~ 20Hz
-    btn: "CALCULATE REWARD",
-    logs: [
-      "Cortex: Visual input 'Couch' detected.",
-      "Cortex: Visual input 'Gym Bag' detected.",
-      "Striatum: Baseline firing rate (20Hz) maintained."
-    ]
-  },
-  {
-    title: "DOPAMINE EFFECT",
-    desc: "SNc releases phasic dopamine. D1 receptors (Direct Path) are highly sensitive to this burst.",
-    phone: 0.95, sport: 0.3,
-    btn: "QUERY COST & RISK",
-    logs: [
-      "SNc: PHASIC DOPAMINE SPIKE DETECTED!",
-      "Direct Path (D1): Excitability increased to +300%.",
-      "LTP (Long-Term Potentiation): Prioritizing 'Phone' action."
-    ]
-  },
-  {
-    title: "COST (EFFORT) OBSTACLE",
-    desc: "Indirect Pathway (NO-GO) spikes due to high effort cost. It tries to inhibit movement.",
-    phone: 1.0, sport: 0.05,
-    btn: "MAKE DECISION (GATING)",
-    logs: [
-      "Indirect Path (D2): Fatigue signals received.",
-      "GPe: Inhibition signal SENT to Thalamus.",
-      "Computation: Cost (High Effort) > Reward (Health)."
-    ]
-  },
-  {
-    title: "ACTION SELECTION",
-    desc: "Direct Pathway overwrites NO-GO signal. Thalamus disinhibited. Action initiated.",
-    phone: 1.0, sport: 0.0,
-    btn: "RESET SIMULATION",
-    logs: [
-      "GPi/SNr: Activity PAUSED (Gate Open).",
-      "Thalamus: Burst firing (80Hz) to Cortex.",
-      "Motor Cortex: Executing motor program 'LIE_DOWN'."
-    ]
-  }
+    color: new THREE.Color(colorHex), // Current color, may be overridden by a condition preset
+    tubeMat: tubeMat,
+    tubeMesh: tubeMesh,
+    radius: PATH_RADIUS,
+    life: life // Owns the meshes, geometries and materials above
+  };
+  pathways.push(path);
+  return path;
+}
+
+// Rebuilds a pathway tube at a new radius (used to show learned synaptic strength)
+function setNeuralPathRadius(path, radius) {
+  if (radius === path.radius) return;
+  path.radius = radius;
+  path.life.release(path.tubeMesh.geometry);
+  path.tubeMesh.geometry = path.life.track(new THREE.TubeGeometry(path.curve, 64, radius, 8, false));
+}
+
+function removeNeuralPath(path) {
+  path.life.dispose();
+  pathways.splice(pathways.indexOf(path), 1);
+}
+
+// --- Anatomical Pathways (the loop topology we teach) ---
+// Each route runs through region anchors; `bend` pushes the in-between points
+// sideways so routes sharing a nucleus do not draw on top of each other.
+function routePoints(regionIds, bend) {
+  const points = [];
+  regionIds.forEach((id, i) => {
+    const pos = REGIONS[id].position;
+    if (i > 0) {
+      const mid = REGIONS[regionIds[i - 1]].position.clone().lerp(pos, 0.5).add(bend);
+      points.push(mid);
+    }
+    points.push(pos.clone());
+  });
+  return points;
+}
+
+function meanRate(nucleus) {
+  return model.channels.reduce((sum, ch) => sum + model.rates[nucleus][ch], 0) / model.channels.length;
+}
+
+const ROUTES = [
+  { id: 'direct', color: 0x3399ff, regions: ['striatum', 'gpi'], bend: new THREE.Vector3(-0.02, 0, 0.01), activity: () => meanRate('d1') },
+  { id: 'indirect', color: 0xff3366, regions: ['striatum', 'gpe', 'stn', 'gpi'], bend: new THREE.Vector3(0.01, 0, 0.01), activity: () => meanRate('d2') },
+  { id: 'hyperdirect', color: 0xffdd33, regions: ['cortex', 'stn'], bend: new THREE.Vector3(0.04, 0, 0), activity: () => meanRate('stn') }
 ];
 
+function buildRoutes() {
+  ROUTES.forEach(route => {
+    if (route.path) removeNeuralPath(route.path);
+    route.path = createNeuralPath(routePoints(route.regions, route.bend), route.color, route.id, route.activity, 10);
+  });
+}
+buildRoutes();
+
+// Legend for the pathways drawn in the scene
+function addLegendItem(legend, color, text, className = '') {
+  const item = document.createElement('div');
+  item.className = `legend-item ${className}`.trim();
+  const swatch = document.createElement('span');
+  swatch.className = 'legend-swatch';
+  swatch.style.background = '#' + new THREE.Color(color).getHexString();
+  item.appendChild(swatch);
+  const label = document.createElement('span');
+  label.textContent = text;
+  item.appendChild(label);
+  legend.appendChild(item);
+  return item;
+}
+
+ROUTES.forEach(route => {
+  const item = addLegendItem(document.getElementById('pathwayLegend'), route.color, t(`route.${route.id}`));
+  item.lastChild.dataset.i18n = `route.${route.id}`;
+});
+
+// --- Action Channels ---
+// Competing actions are a list: each channel gets its own cortical pathway into
+// GPi/SNr, a live monitor, a thought anchor and a legend entry.
+const CHANNEL_PALETTE = ['#00ffff', '#ff8800', '#66ff66', '#ff66cc', '#ffff66', '#9966ff'];
+let channels = [];
+
+// Spread channel origins on an arc over the striatum. With two channels this is
+// exactly the original left (phone) / right (sport) hemisphere layout.
+function channelLayout(index, count) {
+  const angle = count === 1 ? 0 : -Math.PI / 2 + (index / (count - 1)) * Math.PI;
+  const x = 0.1 * Math.sin(angle);
+  const z = 0.05 + 0.04 * Math.cos(angle);
+  const end = REGIONS.gpi.position;
+  return {
+    points: [
+      new THREE.Vector3(x, 0.08, z),
+      new THREE.Vector3(x * 0.5, 0.02, z * 0.4),
+      new THREE.Vector3(x * 0.2, -0.02, 0),
+      end.clone()
+    ],
+    anchor: [x * 1.2, 0.02, z] // Thought bubbles float just outside the pathway origin
+  };
+}
+
+function createChannelPath(id, color, layout) {
+  return createNeuralPath(layout.points, new THREE.Color(color).getHex(), id, () => model.activity(id));
+}
+
+// Re-runs the channel layout without touching monitors or the model (e.g. after regions moved)
+function relayoutChannels() {
+  channels.forEach((ch, i) => {
+    const layout = channelLayout(i, channels.length);
+    const radius = ch.path.radius; // Keeps the learned strength on the new route
+    removeNeuralPath(ch.path);
+    ch.path = createChannelPath(ch.id, ch.color, layout);
+    setNeuralPathRadius(ch.path, radius);
+    ch.anchor = ch.def.anchor || layout.anchor;
+  });
+  applyCondition();
+}
+
+function buildChannels(defs) {
+  channels.forEach(ch => {
+    removeNeuralPath(ch.path);
+    ch.row.remove();
+    ch.legendItem.remove();
+  });
+
+  const monitors = document.getElementById('channelMonitors');
+  const legend = document.getElementById('pathwayLegend');
+
+  channels = defs.map((def, i) => {
+    const color = def.color || CHANNEL_PALETTE[i % CHANNEL_PALETTE.length];
+    const layout = channelLayout(i, defs.length);
+
+    const row = document.createElement('div');
+    row.className = 'channel-monitor';
+    row.innerHTML = `
+      <div class="status-line">
+        <span><span class="channel-name"></span> <br><small class="channel-relay" style="color:#666; font-size:10px;"></small></span>
+        <span class="channel-hz">0 Hz</span>
+      </div>
+      <div class="graph-container">
+        <canvas id="${def.id}Graph" width="300" height="50"></canvas>
+      </div>`;
+    monitors.appendChild(row);
+
+    return {
+      id: def.id,
+      name: def.name,
+      color: color,
+      def: def,
+      anchor: def.anchor || layout.anchor,
+      path: createChannelPath(def.id, color, layout),
+      row: row,
+      hzEl: row.querySelector('.channel-hz'),
+      monitor: new GraphMonitor(`${def.id}Graph`, color),
+      legendItem: addLegendItem(legend, color, '', 'legend-channel')
+    };
+  });
+  labelChannels(defs);
+
+  // Fresh model for the new channel set, keeping weights and dopamine settings
+  model = new BasalGangliaModel(defs.map(d => d.id), { weights: model && model.weights, dopamine: model && model.dopamine });
+  applyCondition();
+  applyParameters();
+
+  lastGate = undefined; // New monitor rows need their winner/loser classes
+  learner.reset();
+  buildChoiceSelect();
+  drawHabitChart(habitChart, learner.history, channels);
+}
+
+// Channel names and captions; `defs` may be a translation of the current channel set
+function labelChannels(defs) {
+  channels.forEach((ch, i) => {
+    ch.name = defs[i].name;
+    ch.row.querySelector('.channel-name').textContent = ch.name;
+    ch.row.querySelector('.channel-relay').textContent = t('channel.relay', { n: i + 1 });
+    ch.legendItem.lastChild.textContent = t('legend.channel', { name: ch.name });
+  });
+  const [a, b] = channels;
+  document.getElementById('paramHint').textContent = t('param.hint', { a: a.name, b: b.name });
+}
+
+function channelAnchors() {
+  const anchors = {};
+  channels.forEach(ch => { anchors[ch.id] = ch.anchor; });
+  return anchors;
+}
+
+// Simulation State Logic - loaded from a scenario file (see scenario.js)
+let sourceScenario = null; // As loaded; `scenario` is its translation into the current language
+let scenario = null;
+let steps = [];
+
+// Firing-rate model behind the monitors and pulses (see model.js), rebuilt per channel set
+let model = null;
+
+// Live parameters from the slider panel; scenario inputs are scaled by them
+const params = defaultParameters();
+
+// Session recording and playback (see recorder.js and the Session Recording section)
+const recorder = new SessionRecorder();
+let player = null;
+
+function applyParameters() {
+  if (!model) return; // Channels not built yet
+  recorder.params(params);
+  model.dopamine.tonic = params.tonic;
+  model.dopamine.phasic = params.phasic;
+  model.dopamine.d1Gain = params.d1Gain;
+  model.dopamine.d2Gain = params.d2Gain;
+
+  const s = steps[currentStep];
+  if (!s) return;
+  // Option A is the first channel, option B the second
+  const inputs = {
+    salience: { ...s.inputs.salience },
+    reward: { ...s.inputs.reward },
+    cost: { ...s.inputs.cost }
+  };
+  const [a, b] = model.channels;
+  if (a in inputs.reward) inputs.reward[a] *= params.rewardA;
+  if (b in inputs.cost) inputs.cost[b] *= params.costB;
+  model.setInputs(inputs);
+}
+
+// How a channel's pulses look, read from the model instead of the step number
+function pulseStyleFor(ch) {
+  const r = model.rates;
+  if (r.d2[ch] > r.d1[ch] + 0.3) return 'stall'; // NO-GO dominates: signal stutters
+  if (r.d1[ch] > 0.6) return 'boost'; // Dopamine-boosted GO burst
+  return 'normal';
+}
+
+function logModelReadout() {
+  const rates = channels.map(ch => `${ch.name} ${model.hz('thalamus', ch.id)}Hz`).join(' / ');
+  const winner = channels.find(ch => ch.id === model.selected());
+  const gate = winner ? t('log.gateOpen', { name: winner.name }) : t('log.gateClosed');
+  logToConsole(t('log.readout', { rates, gate }));
+  const note = winner ? condition.notes.open : condition.notes.closed;
+  if (note) logToConsole(t(note));
+}
+
 function logToConsole(message) {
   const consolePanel = document.getElementById('consolePanel');
   const entry = document.createElement('div');
@@ -435,8 +899,13 @@ function logToConsole(message) {
   const now = new Date();
   const timeString = now.toLocaleTimeString('en-US', { hour12: false, hour: "numeric", minute: "numeric", second: "numeric" });
 
-  entry.innerHTML = `<span class="log-time">[${timeString}]</span>${message}`;
+  // Plain text only: messages can come from scenario files and handed-in recordings
+  const time = document.createElement('span');
+  time.className = 'log-time';
+  time.textContent = `[${timeString}]`;
+  entry.append(time, document.createTextNode(message));
   consolePanel.appendChild(entry);
+  recorder.event('log', { text: message });
 
   // Keep last 50 logs to allow scrolling history
   if (consolePanel.children.length > 50) {
@@ -508,39 +977,23 @@ class GraphMonitor {
   }
 }
 
-// Instantiate Monitors
-const phoneMonitor = new GraphMonitor('phoneGraph', '#00ffff');
-const sportMonitor = new GraphMonitor('sportGraph', '#ff8800');
-
-function updateGraphValues() {
-  // Smoothly interpolate current display values towards target logic values
-  // simple lerp
-  phoneActivityDisplay = THREE.MathUtils.lerp(phoneActivityDisplay, phoneActivity, 0.05);
-  sportActivityDisplay = THREE.MathUtils.lerp(sportActivityDisplay, sportActivity, 0.05);
-
-  phoneMonitor.addValue(phoneActivityDisplay);
-  sportMonitor.addValue(sportActivityDisplay);
+// Once per simulation tick, so the monitors scroll at the same pace on any display
+function sampleGraphValues() {
+  // The model already integrates over time, so the monitors plot its output directly
+  channels.forEach(ch => ch.monitor.addValue(model.activity(ch.id)));
+}
 
-  phoneMonitor.draw();
-  sportMonitor.draw();
+function drawGraphs() {
+  channels.forEach(ch => {
+    ch.monitor.draw();
 
-  // Update Text Hz
-  // 0.0-1.0 -> 0-100Hz
-  const pHz = Math.round(phoneActivityDisplay * 80);
-  const sHz = Math.round(sportActivityDisplay * 80);
-  document.getElementById('phoneVal').innerText = pHz + " Hz";
-  document.getElementById('sportVal').innerText = sHz + " Hz";
+    // Update Text Hz (thalamic relay rate of each channel), only when it changed
+    const hz = `${model.hz('thalamus', ch.id)} Hz`;
+    if (ch.hzEl.textContent !== hz) ch.hzEl.textContent = hz;
+  });
 }
 
-let phoneActivityDisplay = 0.1;
-let sportActivityDisplay = 0.1;
-
 function updateUIAndState() {
-
-  if (currentStep < 0) currentStep = 0;
-  if (currentStep >= steps.length) currentStep = steps.length - 1;
-  if (currentStep < 0) currentStep = 0;
-
   const s = steps[currentStep];
 
   // UI Update
@@ -548,15 +1001,6 @@ function updateUIAndState() {
   document.getElementById('descText').innerText = s.desc;
   document.getElementById('actionBtn').innerText = s.btn;
 
-  // Logs
-  if (currentStep !== lastStep) {
-    if (s.logs) {
-      s.logs.forEach((log, index) => {
-        setTimeout(() => logToConsole(log), index * 600); // Stagger logs
-      });
-    }
-  }
-
   // Hide Back button on initial step
   const backBtn = document.getElementById('backBtn');
   if (currentStep === 0) {
@@ -567,140 +1011,1581 @@ function updateUIAndState() {
     document.getElementById('actionBtn').style.width = 'auto';
   }
 
-  // Update Target Activities for Monitors to Lerp towards
-  phoneActivity = s.phone;
-  sportActivity = s.sport;
+  // Feed the step's inputs to the model; activities follow on the next frames
+  applyParameters();
+}
+
+// --- Timeline ---
+// Every step becomes one timeline segment. Its cues: enter the step (UI, model
+// inputs, camera), staggered logs, the model readout and the thought bubbles.
+const STEP_MIN_DURATION = 8;
 
-  // Trigger effects
-  if (currentStep !== lastStep) {
-    // Clear previous bubbles if any? (Optional, but good for cleanup)
-    const existingBubbles = document.querySelectorAll('.thought-bubble');
-    existingBubbles.forEach(b => b.remove());
+const timeline = new Timeline();
 
-    spawnStepThoughts(currentStep); // Spawn thoughts again if we revisit
-    lastStep = currentStep;
+// Returns false to hold the timeline while the step's quiz question is open
+function enterStep(index) {
+  if (quizPending(index)) {
+    showQuiz(index);
+    return false;
   }
+  if (quizStep !== index) hideQuiz();
+  currentStep = index;
+  recorder.event('step', { step: index, title: steps[index].title });
+  clearThoughtBubbles();
+  updateUIAndState();
+  narrator.say(t('narration.step', { n: index + 1, total: steps.length, title: steps[index].title, desc: steps[index].desc }));
+  setScriptedShot(steps[index].camera);
+  syncUrl(pushStepToHistory);
+  pushStepToHistory = false;
+}
+
+function stepSegment(step, index) {
+  const logs = step.logs || [];
+  const readoutAt = logs.length * LOG_STAGGER + LOG_STAGGER;
+  const thoughts = thoughtCues(step);
+  const lastThought = Math.max(0, ...thoughts.map(t => t.at));
+  // An authored duration can lengthen a step, but not cut its cues or thoughts short
+  const content = Math.max(readoutAt + 2, lastThought + THOUGHT_LIFETIME + 1 + THOUGHT_FADE);
+  return {
+    duration: Math.max(step.duration || STEP_MIN_DURATION, content),
+    cues: [
+      { at: 0, run: () => enterStep(index) },
+      ...logs.map((log, i) => ({ at: i * LOG_STAGGER, run: () => logToConsole(log) })),
+      // Report what the model actually settled on once the step has played out
+      { at: readoutAt, run: logModelReadout },
+      { at: readoutAt, run: () => resolvePrediction(index) },
+      ...thoughts
+    ]
+  };
+}
+
+// The decision cycle is complete: learn from it before the console is cleared
+function completeCycle() {
+  const lesson = learningEnabled ? completeLearningCycle() : null;
+  answeredQuizzes.clear(); // Ask again on the next pass
+
+  controls.autoRotateSpeed = 2.0;
+  // Clear Console on Reset
+  document.getElementById('consolePanel').innerHTML = '';
+  logToConsole(t('log.reset'));
+  if (lesson) lesson.forEach(line => logToConsole(line));
+}
+timeline.onLoop = completeCycle;
+
+// Manual stepping: play one step, then hold at its end
+function playStep(index) {
+  stopReplay();
+  pushStepToHistory = true;
+  const blocked = !timeline.seek(timeline.segmentStart(index));
+  timeline.hold = timeline.segmentEnd(index);
+  timeline.playing = !blocked; // A blocking cue (a quiz) resumes playback itself
+  updateTimelineControls();
 }
 
 window.nextStep = function () {
-  currentStep++;
-  if (currentStep >= steps.length) {
-    currentStep = 0;
-    controls.autoRotateSpeed = 2.0;
-    // Clear Console on Reset
-    document.getElementById('consolePanel').innerHTML = '';
-    logToConsole("System: Simulation Reset. Re-initializing...");
+  if (!steps.length) return; // Scenario still loading
+  if (currentStep + 1 >= steps.length) {
+    completeCycle();
+    playStep(0);
+  } else {
+    playStep(currentStep + 1);
   }
-  updateUIAndState();
 };
 
 window.prevStep = function () {
-  if (currentStep > 0) {
-    currentStep--;
-    updateUIAndState();
-  }
+  if (currentStep > 0) playStep(currentStep - 1);
 };
 
 document.getElementById('actionBtn').addEventListener('click', window.nextStep);
 document.getElementById('backBtn').addEventListener('click', window.prevStep);
 
+// --- Timeline Controls ---
+// Play autoplays through every step (for unattended displays); the step buttons
+// take back control and hold at the end of each step.
+const playBtn = document.getElementById('playBtn');
+const timelineScrub = document.getElementById('timelineScrub');
+const timelineClock = document.getElementById('timelineClock');
+let scrubbing = false;
+
+function formatTime(t) {
+  const s = Math.floor(t);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+function updateTimelineControls() {
+  const autoplaying = timeline.playing && timeline.hold === null;
+  playBtn.innerHTML = autoplaying ? '&#10074;&#10074;' : '&#9654;';
+  playBtn.classList.toggle('playing', autoplaying);
+  const shown = scrubbing ? parseFloat(timelineScrub.value) : timeline.time;
+  if (!scrubbing) timelineScrub.value = timeline.time;
+  timelineClock.textContent = `${formatTime(shown)} / ${formatTime(timeline.duration)}`;
+}
+
+function buildTimelineControls() {
+  timelineScrub.max = timeline.duration;
+  const marks = document.getElementById('stepMarks');
+  marks.innerHTML = '';
+  timeline.segments.forEach(seg => {
+    const option = document.createElement('option');
+    option.value = seg.start;
+    marks.appendChild(option);
+  });
+  updateTimelineControls();
+}
+
+function seekTimeline(time) {
+  pushStepToHistory = true;
+  timeline.seek(time);
+  // Manual stepping keeps holding at the end of whichever step we landed in
+  if (timeline.hold !== null) timeline.hold = timeline.segmentEnd(timeline.segmentAt(timeline.time));
+  updateTimelineControls();
+}
+
+playBtn.addEventListener('click', () => {
+  if (!steps.length) return;
+  if (timeline.playing && timeline.hold === null) {
+    timeline.playing = false;
+  } else {
+    stopReplay();
+    // Finished without looping: start over (unless the first step opens with a quiz)
+    const blocked = timeline.time >= timeline.duration && !timeline.seek(0);
+    timeline.hold = null;
+    timeline.playing = !blocked;
+  }
+  updateTimelineControls();
+});
+
+timelineScrub.addEventListener('input', () => {
+  scrubbing = true;
+  updateTimelineControls();
+});
+timelineScrub.addEventListener('change', () => {
+  scrubbing = false;
+  seekTimeline(parseFloat(timelineScrub.value));
+});
+
+const speedSelect = document.getElementById('speedSelect');
+PLAYBACK_SPEEDS.forEach(speed => {
+  const option = document.createElement('option');
+  option.value = speed;
+  option.textContent = `${speed}×`;
+  option.selected = speed === timeline.speed;
+  speedSelect.appendChild(option);
+});
+speedSelect.addEventListener('change', () => {
+  timeline.speed = parseFloat(speedSelect.value);
+});
+document.getElementById('loopToggle').addEventListener('change', (event) => {
+  timeline.loop = event.target.checked;
+});
+timeline.onEnd = updateTimelineControls;
+
+// --- Parameter Panel ---
+const syncParameterPanel = createParameterPanel(document.getElementById('paramSliders'), params, (id, value) => {
+  params[id] = value;
+  applyParameters();
+  syncUrlSoon();
+});
+applyParameters();
+
+// --- Learning Mode ---
+// Optional: each completed cycle applies a dopamine-gated RPE update (see learning.js)
+const learner = new HabitLearner();
+const habitChart = document.getElementById('habitChart');
+const choiceSelect = document.getElementById('choiceSelect');
+let learningEnabled = false;
+
+const DEFAULT_OUTCOME = 0.5;
+
+function buildChoiceSelect() {
+  choiceSelect.innerHTML = '';
+  const auto = document.createElement('option');
+  auto.value = '';
+  auto.textContent = t('choice.auto');
+  choiceSelect.appendChild(auto);
+  channels.forEach(ch => {
+    const option = document.createElement('option');
+    option.value = ch.id;
+    option.textContent = t('choice.option', { name: ch.name });
+    choiceSelect.appendChild(option);
+  });
+}
+
+function updateHabitVisuals() {
+  channels.forEach(ch => {
+    const strength = HabitLearner.strength(model, ch.id);
+    setNeuralPathRadius(ch.path, PATH_RADIUS * THREE.MathUtils.clamp(1 + strength, 0.4, 3));
+  });
+  drawHabitChart(habitChart, learner.history, channels);
+}
+
+// Returns the log lines describing what was learned
+function completeLearningCycle() {
+  const gateId = model.selected();
+  const chosenId = choiceSelect.value || gateId;
+  const chosen = channels.find(ch => ch.id === chosenId);
+  const outcomes = scenario.outcomes || {};
+  const entry = learner.update(model, chosenId, chosen ? outcomes[chosenId] ?? DEFAULT_OUTCOME : 0);
+  updateHabitVisuals();
+
+  if (!chosen) return [t('log.learningIdle', { cycle: entry.cycle })];
+  const gate = channels.find(ch => ch.id === gateId);
+  const p = model.plasticity[chosenId];
+  const lines = [
+    t('log.learningAction', { cycle: entry.cycle, name: chosen.name, rpe: `${entry.rpe >= 0 ? '+' : ''}${entry.rpe.toFixed(2)}` }),
+    t('log.learningWeights', { name: chosen.name, d1: p.d1.toFixed(2), d2: p.d2.toFixed(2) })
+  ];
+  if (gate && gate !== chosen) lines.push(t('log.learningOverride', { name: gate.name }));
+  return lines;
+}
+
+document.getElementById('learningToggle').addEventListener('change', (event) => {
+  learningEnabled = event.target.checked;
+  logToConsole(t('log.learningMode', { state: t(learningEnabled ? 'log.on' : 'log.off') }));
+});
+
+document.getElementById('resetLearning').addEventListener('click', () => {
+  learner.reset();
+  model.channels.forEach(ch => { model.plasticity[ch] = { d1: 1, d2: 1 }; });
+  updateHabitVisuals();
+  logToConsole(t('log.habitsReset'));
+});
+
+// --- Quiz Mode ---
+// With quiz mode on, a step that carries a `quiz` holds the timeline before it
+// starts until the question is answered; the step then plays and its pathway
+// animation shows the answer. Predictions are scored at the step's model readout.
+const quizScore = new QuizScore();
+const quizCard = document.getElementById('quizCard');
+const quizChoices = document.getElementById('quizChoices');
+const quizFeedback = document.getElementById('quizFeedback');
+let quizEnabled = false;
+const answeredQuizzes = new Set(); // Steps answered during this pass through the scenario
+let quizStep = -1; // Step whose question the card shows
+let prediction = null; // { step, value } waiting for the gate outcome
+
+function quizPending(index) {
+  return quizEnabled && !player && !!steps[index].quiz && !answeredQuizzes.has(index);
+}
+
+function updateQuizScore() {
+  document.getElementById('quizScore').textContent = t('quiz.score', { correct: quizScore.correct, asked: quizScore.asked });
+}
+
+function showQuiz(index) {
+  const quiz = steps[index].quiz;
+  quizStep = index;
+  prediction = null;
+  quizCard.hidden = false;
+  quizCard.classList.remove('correct', 'wrong');
+  document.getElementById('quizQuestion').textContent = quiz.question;
+  quizFeedback.textContent = '';
+  quizChoices.innerHTML = '';
+  quizOptions(quiz, channels, t('quiz.none')).forEach(option => {
+    const button = document.createElement('button');
+    button.className = 'secondary-btn';
+    button.textContent = option.text;
+    button.addEventListener('click', () => answerQuiz(index, option.value, button));
+    quizChoices.appendChild(button);
+  });
+  narrator.say(t('narration.quiz', { question: quiz.question, count: quizChoices.children.length }));
+  updateTimelineControls();
+}
+
+function hideQuiz() {
+  quizStep = -1;
+  prediction = null;
+  quizCard.hidden = true;
+}
+
+function answerQuiz(index, value, button) {
+  const quiz = steps[index].quiz;
+  answeredQuizzes.add(index);
+  quizChoices.querySelectorAll('button').forEach(b => { b.disabled = true; });
+  button.classList.add('chosen');
+  if (quiz.type === 'predict') {
+    prediction = { step: index, value };
+    quizFeedback.textContent = t('quiz.watch');
+  } else {
+    scoreQuiz(quiz, value, quizAnswer(quiz));
+  }
+  // The held step starts and plays out the answer
+  timeline.playing = true;
+  updateTimelineControls();
+}
+
+function scoreQuiz(quiz, value, answer) {
+  const correct = value === answer;
+  quizScore.record(correct);
+  recorder.event('quiz', { question: quiz.question, correct });
+  updateQuizScore();
+
+  const options = quizOptions(quiz, channels, t('quiz.none'));
+  const right = options.findIndex(o => o.value === answer);
+  quizChoices.children[right].classList.add('answer');
+  quizCard.classList.add(correct ? 'correct' : 'wrong');
+  const verdict = correct ? t('quiz.correct') : t('quiz.wrong', { answer: options[right].text });
+  quizFeedback.textContent = quiz.explain ? `${verdict} ${quiz.explain}` : verdict;
+  narrator.say(quizFeedback.textContent);
+}
+
+// The gate outcome at a step's readout settles the prediction made for it
+function resolvePrediction(index) {
+  if (!prediction || prediction.step !== index) return;
+  const quiz = steps[index].quiz;
+  scoreQuiz(quiz, prediction.value, quizAnswer(quiz, model.selected()));
+  prediction = null;
+}
+
+document.getElementById('quizToggle').addEventListener('change', (event) => {
+  quizEnabled = event.target.checked;
+  // Turning quiz mode off releases a step held for its question
+  if (!quizEnabled && quizStep >= 0 && !answeredQuizzes.has(quizStep)) {
+    hideQuiz();
+    timeline.playing = true;
+    updateTimelineControls();
+  }
+  logToConsole(t('log.quizMode', { state: t(quizEnabled ? 'log.on' : 'log.off') }));
+});
+updateQuizScore();
+
+// --- Condition Presets ---
+let condition = CONDITIONS[DEFAULT_CONDITION];
+const conditionLife = new Lifecycle(); // Intro log lines still to come
+
+function setCondition(id) {
+  conditionLife.dispose(); // The previous condition's intro stops mid-way
+  condition = CONDITIONS[id];
+  recorder.event('condition', { id });
+
+  Object.assign(params, condition.params);
+  syncParameterPanel(params);
+  applyCondition();
+  applyParameters();
+
+  condition.intro.forEach((line, index) => {
+    conditionLife.timeout(() => logToConsole(t(line)), index * 400);
+  });
+  syncUrl(false);
+}
+
+// Weights and pathway colors of the current condition (also re-applied after channels are rebuilt)
+function applyCondition() {
+  model.weights = { ...DEFAULT_WEIGHTS, ...condition.weights };
+
+  pathways.forEach(path => {
+    const override = condition.colors[path.id];
+    if (override !== undefined) path.color.setHex(override);
+    else path.color.copy(path.baseColor);
+    if (channels.some(ch => ch.path === path)) path.color.multiplyScalar(condition.channelTint);
+    path.tubeMat.color.copy(path.color);
+  });
+}
+
+const conditionSelect = document.getElementById('conditionSelect');
+Object.keys(CONDITIONS).forEach(id => {
+  const option = document.createElement('option');
+  option.value = id;
+  option.textContent = t(`condition.${id}`);
+  option.dataset.i18n = `condition.${id}`;
+  conditionSelect.appendChild(option);
+});
+conditionSelect.value = DEFAULT_CONDITION;
+conditionSelect.addEventListener('change', () => setCondition(conditionSelect.value));
+
+// Live winner-take-all gating outcome under the monitors
+let lastGate;
+function updateGateStatus() {
+  const winnerId = model.selected();
+  if (winnerId === lastGate) return;
+  lastGate = winnerId;
+
+  const winner = channels.find(ch => ch.id === winnerId);
+  const el = document.getElementById('gateStatus');
+  el.textContent = winner ? t('gate.open', { name: winner.name.toUpperCase() }) : t('gate.closed');
+  el.classList.toggle('open', !!winner);
+  channels.forEach(ch => {
+    ch.row.classList.toggle('winner', ch === winner);
+    ch.row.classList.toggle('loser', !!winner && ch !== winner);
+  });
+}
+
+// --- Scenario Loading ---
+const scenarioOptions = { labels: Object.keys(labels) };
+
+let scenarioName = null; // File name under public/scenarios/, null for scenarios loaded from disk
+
+function runScenario(next, name = null) {
+  stopRecording(); // A recording covers one channel set
+  if (sourceScenario) quizScore.reset(); // A new scenario starts a new score; a page reload keeps it
+  sourceScenario = next;
+  scenario = localizeScenario(next, getLocale());
+  scenarioName = name;
+  steps = scenario.steps;
+  buildChannels(scenarioChannels(scenario));
+
+  answeredQuizzes.clear();
+  updateQuizScore();
+  timeline.load(steps.map(stepSegment));
+  buildTimelineControls();
+  showStartScreen();
+
+  document.getElementById('consolePanel').innerHTML = '';
+  logToConsole(t('log.scenarioLoaded', { title: scenario.title, count: steps.length }));
+}
+
+function showStartScreen() {
+  currentStep = -1;
+  clearThoughtBubbles();
+  hideQuiz();
+  // The model idles at time 0 until a step is played
+  timeline.rewind();
+  timeline.hold = 0;
+  timeline.playing = true;
+  showStartText();
+  narrator.say(t('narration.start', { title: scenario.title }));
+  syncUrl(false);
+}
+
+function showStartText() {
+  const start = scenario.start || {};
+  document.getElementById('phaseTitle').innerText = start.title || t('start.title');
+  document.getElementById('descText').innerText = start.desc || '';
+  document.getElementById('actionBtn').innerText = start.btn || t('start.btn');
+}
+
+function reportScenarioError(err) {
+  console.error(err);
+  const problems = err.problems && err.problems.length ? err.problems : [err.message];
+  logToConsole(t('log.scenarioRejected'));
+  problems.forEach(p => logToConsole(t('log.error', { message: p })));
+}
+
+// Resolves with true once the scenario runs; `name` makes it linkable (see URL State)
+window.loadScenario = function (source, name = null) {
+  return loadScenario(source, scenarioOptions).then(next => {
+    runScenario(next, name);
+    return true;
+  }, (err) => {
+    reportScenarioError(err);
+    return false;
+  });
+};
+
+document.getElementById('scenarioFile').addEventListener('change', (event) => {
+  const file = event.target.files[0];
+  if (file) window.loadScenario(file);
+  event.target.value = ''; // Allow re-loading the same file after editing it
+});
+
+buildChannels(DEFAULT_CHANNELS); // Something to look at while the scenario loads
+
+
+// --- Brain Surface Mesh ---
+// public/brain.glb is optional. When it loads it is fitted onto the wireframe so
+// both share one coordinate space; nodes named after region ids (e.g. "striatum",
+// "gpi") become the new label anchors and the pathways are re-routed through them.
+const BRAIN_MESH_URL = `${import.meta.env.BASE_URL}brain.glb`;
+
+const brainSurfaceMaterial = new THREE.ShaderMaterial({
+  uniforms: {
+    color: { value: new THREE.Color(0.35, 0.6, 1.0) },
+    opacity: { value: 0.35 }
+  },
+  vertexShader: BrainSurfaceShader.vertexShader,
+  fragmentShader: BrainSurfaceShader.fragmentShader,
+  transparent: true,
+  depthWrite: false,
+  blending: THREE.AdditiveBlending
+});
+
+let brainSurface = null;
+let meshStatus = null; // { key, vars, state }, kept to re-translate on a locale switch
+const meshStatusLife = new Lifecycle(); // Timer that clears the status again
+
+// Bounds of the brain fiber dataset the mesh belongs to, even while another
+// shape is displayed
+function brainFiberBounds() {
+  const box = new THREE.Box3();
+  const point = new THREE.Vector3();
+  DATASETS[DEFAULT_DATASET].entry.paths.forEach(path => {
+    for (let i = 0; i < path.length; i += 3) box.expandByPoint(point.fromArray(path, i));
+  });
+  return box;
+}
+
+function setMeshStatus(key, vars, state) {
+  meshStatusLife.dispose(); // A newer status replaces a pending clear
+  meshStatus = key ? { key, vars, state } : null;
+  renderMeshStatus();
+}
+
+function renderMeshStatus() {
+  const el = document.getElementById('meshStatus');
+  el.textContent = meshStatus ? t(meshStatus.key, meshStatus.vars) : '';
+  el.className = meshStatus ? meshStatus.state : '';
+}
+
+// Uniformly scales and centers `object` so its bounds match `target` (a Box3)
+function fitObjectToBox(object, target) {
+  const box = new THREE.Box3().setFromObject(object);
+  const size = box.getSize(new THREE.Vector3());
+  const targetSize = target.getSize(new THREE.Vector3());
+  const scale = Math.min(targetSize.x / size.x, targetSize.y / size.y, targetSize.z / size.z);
+  object.scale.multiplyScalar(scale);
+  object.updateMatrixWorld(true);
+
+  const center = new THREE.Box3().setFromObject(object).getCenter(new THREE.Vector3());
+  object.position.add(target.getCenter(new THREE.Vector3()).sub(center));
+  object.updateMatrixWorld(true);
+}
+
+function registerRegionsToMesh(root) {
+  const found = [];
+  root.traverse(node => {
+    const id = node.name && node.name.toLowerCase();
+    if (REGIONS[id]) {
+      node.getWorldPosition(REGIONS[id].position);
+      labels[id].obj.position.copy(REGIONS[id].position);
+      REGIONS[id].volume.position.copy(REGIONS[id].position);
+      found.push(id);
+    }
+  });
+  if (found.length) {
+    connectionFibers.clear(); // Found around the old region anchors
+    buildRoutes();
+    relayoutChannels();
+  }
+  return found;
+}
+
+function loadBrainMesh() {
+  const loader = new GLTFLoader();
+  setMeshStatus('mesh.loading', null, 'loading');
+
+  loader.load(BRAIN_MESH_URL, (gltf) => {
+    const brain = gltf.scene;
+    brain.traverse(node => {
+      if (node.isMesh) {
+        node.material = brainSurfaceMaterial;
+        node.renderOrder = -1; // Draw the shell before the additive fibers
+      }
+    });
+
+    scene.add(brain);
+    fitObjectToBox(brain, brainFiberBounds());
+    brain.visible = currentDataset === DEFAULT_DATASET;
+    brainSurface = brain;
+    const regions = registerRegionsToMesh(brain);
+
+    setMeshStatus('mesh.ready', null, 'ready');
+    logToConsole(regions.length ? t('log.meshAnchors', { count: regions.length }) : t('log.meshLoaded'));
+    meshStatusLife.timeout(() => setMeshStatus(null), 3000);
+  }, (event) => {
+    if (event.lengthComputable) {
+      setMeshStatus('mesh.progress', { percent: Math.round(event.loaded / event.total * 100) }, 'loading');
+    }
+  }, (err) => {
+    console.warn('Brain mesh could not be loaded:', err);
+    setMeshStatus(null); // The mesh is optional: a console line is enough
+    logToConsole(t('log.meshMissing'));
+  });
+}
+
+loadBrainMesh();
+
+// --- Dataset Switcher ---
+const datasetSelect = document.getElementById('datasetSelect');
+Object.entries(DATASETS).forEach(([id, d]) => {
+  const option = document.createElement('option');
+  option.value = id;
+  option.textContent = d.name;
+  datasetSelect.appendChild(option);
+});
+datasetSelect.value = DEFAULT_DATASET;
+datasetSelect.addEventListener('change', () => {
+  setDataset(datasetSelect.value);
+  // The anatomical surface only matches the brain fibers
+  if (brainSurface) brainSurface.visible = currentDataset === DEFAULT_DATASET;
+});
+
+// --- Camera Choreography ---
+// Steps may declare a camera shot ({ target, distance, easing, duration, direction }).
+// The camera tweens between shots; dragging interrupts it, and after a few idle
+// seconds it glides back to the current step's shot.
+const CAMERA_OVERVIEW = { target: [0, 0, 0], distance: 0.3, direction: [0, 0, 1] };
+const CAMERA_RETURN_DELAY = 4; // seconds of idle time before returning to the script
+
+let cameraTween = null;
+let scriptedShot = CAMERA_OVERVIEW;
+let userCameraAt = null; // Time of the last manual camera interaction, null when following the script
+let cameraPinned = false; // A pose restored from a link stays put until the next drag or step
+
+function shotTarget(shot) {
+  return typeof shot.target === 'string'
+    ? REGIONS[shot.target].position.clone()
+    : new THREE.Vector3().fromArray(shot.target);
+}
+
+function focusCamera(target, distance, options = {}) {
+  const direction = options.direction
+    ? new THREE.Vector3().fromArray(options.direction).normalize()
+    : camera.position.clone().sub(controls.target).normalize();
+  cameraTween = {
+    start: sceneTime,
+    duration: reducedMotion ? 0 : options.duration ?? 1.2, // Reduced motion cuts straight to the shot
+    easing: EASINGS[options.easing || DEFAULT_EASING],
+    fromTarget: controls.target.clone(),
+    toTarget: target.clone(),
+    fromPosition: camera.position.clone(),
+    toPosition: target.clone().addScaledVector(direction, distance)
+  };
+}
+
+function playShot(shot) {
+  userCameraAt = null;
+  cameraPinned = false;
+  syncUrlSoon(); // Drops a shared camera pose from the address bar
+  focusCamera(shotTarget(shot), shot.distance ?? CAMERA_OVERVIEW.distance, shot);
+}
+
+// Called on every step change
+function setScriptedShot(shot) {
+  scriptedShot = shot || CAMERA_OVERVIEW;
+  if (!drawerRegion) playShot(scriptedShot);
+}
+
+function updateCameraTween(time) {
+  // Back to the script once the user has let go for a while (not while inspecting a region)
+  if (!cameraTween && userCameraAt !== null && !cameraPinned && !drawerRegion && time - userCameraAt > CAMERA_RETURN_DELAY) {
+    playShot(scriptedShot);
+  }
+  if (!cameraTween) return;
+  const t = cameraTween.duration > 0 ? Math.min(1, (time - cameraTween.start) / cameraTween.duration) : 1;
+  const eased = cameraTween.easing(t);
+  controls.target.lerpVectors(cameraTween.fromTarget, cameraTween.toTarget, eased);
+  camera.position.lerpVectors(cameraTween.fromPosition, cameraTween.toPosition, eased);
+  if (t >= 1) cameraTween = null;
+}
+
+controls.addEventListener('start', () => {
+  cameraTween = null;
+  cameraPinned = false;
+  userCameraAt = sceneTime;
+});
+controls.addEventListener('end', () => syncUrlSoon());
+controls.addEventListener('change', () => {
+  if (userCameraAt !== null && !cameraTween) userCameraAt = sceneTime;
+});
+
+// --- Region Picking & Anatomy Drawer ---
+const raycaster = new THREE.Raycaster();
+const regionDrawer = document.getElementById('regionDrawer');
+let drawerRegion = null;
+let drawerConnection = null; // Connection whose fibers are highlighted, picked in the drawer list
+
+function describeConnection(c) {
+  const arrow = c.sign > 0 ? '→' : '⊣';
+  const weight = c.weight ? ` (w = ${model.weights[c.weight].toFixed(2)})` : '';
+  return `${t(`region.${c.from}`)} ${arrow} ${t(`region.${c.to}`)}: ${t(`connection.${c.id}`)}${weight}`;
+}
+
+function openRegionDrawer(id) {
+  drawerRegion = id;
+  drawerConnection = null;
+  fillRegionDrawer(id);
+
+  regionDrawer.classList.add('open');
+  Object.values(REGIONS).forEach(r => { r.volume.material.opacity = 0; });
+  REGIONS[id].volume.material.opacity = 0.12;
+  focusCamera(REGIONS[id].position, 0.15);
+  userCameraAt = sceneTime; // Counts as leaving the script
+}
+
+function fillRegionDrawer(id) {
+  document.getElementById('drawerTitle').textContent = t(`region.${id}`);
+  document.getElementById('drawerFunction').textContent = t(`anatomy.${id}.function`);
+  document.getElementById('drawerTransmitters').textContent = t(`anatomy.${id}.transmitters`);
+
+  const list = document.getElementById('drawerConnections');
+  list.innerHTML = '';
+  CONNECTIONS.filter(c => c.from === id || c.to === id).forEach(c => {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.className = 'drawer-connection';
+    button.textContent = describeConnection(c);
+    button.title = t('drawer.showFibers');
+    button.setAttribute('aria-pressed', String(c === drawerConnection));
+    button.addEventListener('click', () => {
+      drawerConnection = c === drawerConnection ? null : c;
+      list.querySelectorAll('.drawer-connection').forEach(other => other.setAttribute('aria-pressed', String(other === button && !!drawerConnection)));
+    });
+    item.appendChild(button);
+    list.appendChild(item);
+  });
+}
+
+function closeRegionDrawer() {
+  drawerRegion = null;
+  drawerConnection = null;
+  regionDrawer.classList.remove('open');
+  Object.values(REGIONS).forEach(r => { r.volume.material.opacity = 0; });
+  userCameraAt = sceneTime; // Return to the script after the usual delay
+}
+
+// Live firing rates of the open region, per channel
+function updateRegionDrawer() {
+  if (!drawerRegion) return;
+  const el = document.getElementById('drawerRates');
+  if (drawerRegion === 'snc') {
+    el.textContent = t('drawer.dopamine', { level: model.snc.toFixed(2), tonic: model.dopamine.tonic.toFixed(2) });
+    return;
+  }
+  el.textContent = REGION_NUCLEI[drawerRegion].map(nucleus => {
+    const rates = channels.map(ch => `${ch.name} ${model.hz(nucleus, ch.id)} Hz`).join(' · ');
+    const prefix = REGION_NUCLEI[drawerRegion].length > 1 ? `${nucleus.toUpperCase()}: ` : '';
+    return prefix + rates;
+  }).join('\n');
+}
+
+document.getElementById('drawerClose').addEventListener('click', closeRegionDrawer);
+
+// A click (not a drag) on the canvas picks the nearest region volume
+const pointerDown = new THREE.Vector2();
+renderer.domElement.addEventListener('pointerdown', (event) => {
+  pointerDown.set(event.clientX, event.clientY);
+});
+renderer.domElement.addEventListener('pointerup', (event) => {
+  if (pointerDown.distanceTo(new THREE.Vector2(event.clientX, event.clientY)) > 5) return;
+  const ndc = new THREE.Vector2(
+    (event.clientX / window.innerWidth) * 2 - 1,
+    -(event.clientY / window.innerHeight) * 2 + 1
+  );
+  raycaster.setFromCamera(ndc, camera);
+  const hit = raycaster.intersectObjects(regionVolumes.children)[0];
+  if (hit) openRegionDrawer(hit.object.userData.regionId);
+});
+
+// --- URL State ---
+// Keeps the address bar in sync with the view (format in urlstate.js). Manual
+// step changes push a history entry, so browser back/forward walk through the
+// steps; autoplay, camera and slider changes only replace the current entry.
+let pushStepToHistory = false;
+let restoringUrl = false;
+let urlTimer = null;
+
+function syncUrl(push) {
+  if (restoringUrl) return;
+  const conditionId = conditionSelect.value;
+  const state = {
+    scenario: scenarioName,
+    step: currentStep,
+    condition: conditionId !== DEFAULT_CONDITION ? conditionId : null,
+    params: params,
+    camera: userCameraAt !== null ? { target: controls.target.toArray(), position: camera.position.toArray() } : null
+  };
+  const search = writeUrlState(state, { ...defaultParameters(), ...condition.params });
+  if (search === window.location.search) return;
+
+  const url = window.location.pathname + search + window.location.hash;
+  // A scenario loaded from disk cannot be reloaded from the URL, so its steps
+  // get no history entries of their own
+  if (push && scenarioName) history.pushState(null, '', url);
+  else history.replaceState(null, '', url);
+}
+
+// Sliders and drags fire continuously; browsers throttle history updates
+function syncUrlSoon() {
+  clearTimeout(urlTimer);
+  urlTimer = setTimeout(() => syncUrl(false), 300);
+}
+
+function applyUrlState(state) {
+  restoringUrl = true;
+
+  const conditionId = CONDITIONS[state.condition] ? state.condition : DEFAULT_CONDITION;
+  if (conditionSelect.value !== conditionId) {
+    conditionSelect.value = conditionId;
+    setCondition(conditionId);
+  }
+  Object.assign(params, defaultParameters(), condition.params, state.params);
+  syncParameterPanel(params);
+  applyParameters();
+
+  if (state.step >= 0 && state.step < steps.length) playStep(state.step);
+  else showStartScreen();
+
+  if (state.camera) {
+    cameraTween = null;
+    controls.target.fromArray(state.camera.target);
+    camera.position.fromArray(state.camera.position);
+    userCameraAt = sceneTime;
+    cameraPinned = true;
+  }
+
+  restoringUrl = false;
+  syncUrl(false);
+}
+
+function restoreUrl() {
+  const state = readUrlState(window.location.search);
+  const name = state.scenario || DEFAULT_SCENARIO;
+  const fromDisk = !state.scenario && sourceScenario && scenarioName === null;
+  if (name === scenarioName || fromDisk) {
+    applyUrlState(state);
+    return;
+  }
+  window.loadScenario(scenarioUrl(name), name).then(ok => {
+    if (ok) applyUrlState(state);
+    else fallBackFromUrl(name);
+  });
+}
+
+// A stale link (mistyped or removed scenario) still opens a working page
+function fallBackFromUrl(name) {
+  if (name === DEFAULT_SCENARIO || scenarioName === DEFAULT_SCENARIO) {
+    syncUrl(false);
+    return;
+  }
+  window.loadScenario(scenarioUrl(DEFAULT_SCENARIO), DEFAULT_SCENARIO).then(() => syncUrl(false));
+}
+
+window.addEventListener('popstate', restoreUrl);
+restoreUrl();
+
+// --- Session Recording ---
+// REC captures rates, steps, parameter changes and log lines until stopped; the
+// result downloads as CSV or JSON. A JSON recording can be replayed: its events
+// re-drive the panel and console, its samples stand in for the model.
+const recordBtn = document.getElementById('recordBtn');
+const recordStatus = document.getElementById('recordStatus');
+const exportCsv = document.getElementById('exportCsv');
+const exportJson = document.getElementById('exportJson');
+
+function startRecording() {
+  recorder.start({
+    scenario: { id: scenario.id, title: scenario.title, name: scenarioName },
+    channels: channels.map(ch => ({ id: ch.id, name: ch.name, color: ch.color }))
+  }, params);
+  recorder.event('condition', { id: conditionSelect.value });
+  if (currentStep >= 0) recorder.event('step', { step: currentStep, title: steps[currentStep].title });
+  logToConsole(t('log.recordingStarted'));
+}
+
+function stopRecording() {
+  if (!recorder.recording) return;
+  recorder.stop();
+  logToConsole(t('log.recordingStopped', { samples: recorder.samples.length, events: recorder.events.length }));
+}
+
+function updateRecordStatus() {
+  recordBtn.textContent = t(recorder.recording ? 'record.stop' : 'record.start');
+  recordBtn.classList.toggle('recording', recorder.recording);
+  recordBtn.disabled = !!player;
+  exportCsv.disabled = exportJson.disabled = recorder.recording || !recorder.hasData;
+  recordStatus.textContent = player ? t('record.replaying', { time: formatTime(player.time), total: formatTime(player.recording.duration) })
+    : recorder.recording ? t('record.active', { time: formatTime(recorder.time), samples: recorder.samples.length })
+      : recorder.hasData ? t('record.done', { time: formatTime(recorder.time) }) : t('record.idle');
+}
+
+function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+function downloadText(filename, text, type) {
+  downloadBlob(filename, new Blob([text], { type: type }));
+}
+
+function recordingFilename(extension) {
+  const stamp = recorder.header.startedAt.replace(/[:.]/g, '-');
+  return `basal-ganglia-${recorder.header.scenario.id}-${stamp}.${extension}`;
+}
+
+recordBtn.addEventListener('click', () => {
+  if (!scenario) return;
+  if (recorder.recording) stopRecording();
+  else startRecording();
+});
+exportCsv.addEventListener('click', () => downloadText(recordingFilename('csv'), recorder.toCSV(), 'text/csv'));
+exportJson.addEventListener('click', () => downloadText(recordingFilename('json'), JSON.stringify(recorder.toJSON()), 'application/json'));
+
+function applyRecordedEvent(e) {
+  if (e.type === 'step' && steps[e.step]) {
+    currentStep = e.step;
+    updateUIAndState();
+    setScriptedShot(steps[e.step].camera);
+  } else if (e.type === 'param') {
+    params[e.id] = e.value;
+    syncParameterPanel(params);
+  } else if (e.type === 'condition' && CONDITIONS[e.id]) {
+    // Without setCondition(): its intro lines and presets are already in the recording
+    conditionSelect.value = e.id;
+    condition = CONDITIONS[e.id];
+    applyCondition();
+  } else if (e.type === 'log') {
+    logToConsole(e.text);
+  }
+}
+
+function beginReplay(rec) {
+  stopRecording();
+  timeline.playing = false;
+  clearThoughtBubbles();
+  hideQuiz();
+  document.getElementById('consolePanel').innerHTML = '';
+  logToConsole(t('log.replayStarted', { date: new Date(rec.startedAt).toLocaleString(getLocale()) }));
+  player = new RecordingPlayer(rec);
+}
+
+// `messageKey` is the i18n key of the log line
+function stopReplay(messageKey = 'log.replayStopped') {
+  if (!player) return;
+  player = null;
+  logToConsole(t(messageKey));
+}
+
+function startReplay(rec) {
+  const name = rec.scenario && rec.scenario.name;
+  if (name && name !== scenarioName) {
+    window.loadScenario(scenarioUrl(name), name).then(ok => {
+      if (ok) beginReplay(rec);
+    });
+  } else if (!scenario || !rec.scenario || rec.scenario.id !== scenario.id) {
+    logToConsole(t('log.replayNeedsScenario', { title: rec.scenario ? rec.scenario.title : '?' }));
+  } else {
+    beginReplay(rec);
+  }
+}
+
+document.getElementById('replayFile').addEventListener('change', (event) => {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+  file.text().then(parseRecording).then(startReplay, (err) => {
+    console.error(err);
+    logToConsole(t('log.error', { message: err.message }));
+  });
+});
+
+// --- Capture ---
+// PNG stills at a chosen resolution and WebM clips of a full scenario run, both
+// with the label layer composited in (see capture.js). Frame stepping advances
+// the scene by exactly 1/fps per rendered frame, so clips stay smooth even when
+// rendering cannot keep up; clips always record frame-stepped.
+const CAPTURE_SIZES = {
+  screen: null, // Window size at device resolution
+  '1920x1080': [1920, 1080],
+  '2560x1440': [2560, 1440],
+  '3840x2160': [3840, 2160]
+};
+const captureSize = document.getElementById('captureSize');
+const captureFps = document.getElementById('captureFps');
+const frameStepToggle = document.getElementById('frameStepToggle');
+const captureClipBtn = document.getElementById('captureClip');
+
+let frameStep = 0;   // Seconds per frame while frame stepping, 0 for real time
+let frameBudget = 0; // Wall time not yet turned into frames
+let clip = null;
+let loopBeforeClip = true;
+
+function captureResolution() {
+  const size = CAPTURE_SIZES[captureSize.value];
+  if (size) return size;
+  const ratio = window.devicePixelRatio || 1;
+  return [Math.round(window.innerWidth * ratio), Math.round(window.innerHeight * ratio)];
+}
+
+function captureBackground() {
+  return getComputedStyle(document.body).backgroundColor;
+}
+
+function updateFrameStep() {
+  frameStep = clip || frameStepToggle.checked ? 1 / parseFloat(captureFps.value) : 0;
+  frameBudget = 0;
+}
+
+// Real-time delta, or one fixed step once its slot of wall time has passed (null: skip the frame)
+function nextFrameDelta(realDt) {
+  if (!frameStep) return realDt; // Stalls are capped by simClock (see clock.js)
+  frameBudget = Math.min(frameBudget + realDt, frameStep * 2);
+  if (frameBudget < frameStep) return null;
+  frameBudget -= frameStep;
+  return frameStep;
+}
+
+function captureStamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+document.getElementById('capturePng').addEventListener('click', () => {
+  const [width, height] = captureResolution();
+  const canvas = captureImage(renderer, scene, camera, width, height, captureBackground());
+  canvas.toBlob(blob => {
+    downloadBlob(`basal-ganglia-${width}x${height}-${captureStamp()}.png`, blob);
+  }, 'image/png');
+});
+
+function startClip() {
+  if (!steps.length) return;
+  const [w, h] = captureResolution();
+  try {
+    clip = new ClipRecorder(w - (w % 2), h - (h % 2), captureBackground()); // Encoders want even sizes
+  } catch (err) {
+    logToConsole(t('log.error', { message: err.message }));
+    return;
+  }
+  updateFrameStep();
+
+  // One full run from the first step, without looping
+  loopBeforeClip = timeline.loop;
+  timeline.loop = false;
+  stopReplay();
+  timeline.hold = null;
+  timeline.playing = timeline.seek(0);
+  captureClipBtn.textContent = t('ui.stopRecording');
+  logToConsole(t('log.clipStarted', { width: clip.canvas.width, height: clip.canvas.height, fps: captureFps.value }));
+}
+
+function finishClip() {
+  const finished = clip;
+  clip = null;
+  timeline.loop = loopBeforeClip;
+  updateFrameStep();
+  captureClipBtn.textContent = t('ui.recordRun');
+  logToConsole(t('log.clipFinished', { frames: finished.frames }));
+  finished.stop().then(blob => {
+    downloadBlob(`basal-ganglia-${scenario.id}-${captureStamp()}.webm`, blob);
+  });
+}
+
+function addClipFrame() {
+  clip.addFrame(renderer, scene, camera);
+  if (timeline.time >= timeline.duration) finishClip();
+}
+
+captureClipBtn.addEventListener('click', () => {
+  if (clip) finishClip();
+  else startClip();
+});
+frameStepToggle.addEventListener('change', updateFrameStep);
+captureFps.addEventListener('change', updateFrameStep);
+
+// --- Performance ---
+// The governor in quality.js picks a tier from the measured frame time; a
+// presenter can pin one instead. Pixel ratio applies at once, particle and tube
+// detail rebuild the shape (morphing, like a dataset switch). Antialiasing is
+// part of the WebGL context, so a change is remembered and applies on reload.
+// Recordings keep their tier: nothing adapts while frame stepping.
+const HUD_INTERVAL = 0.25; // seconds between HUD refreshes
+const qualitySelect = document.getElementById('qualitySelect');
+const targetFpsSelect = document.getElementById('targetFps');
+const perfHudToggle = document.getElementById('perfHudToggle');
+const perfHud = document.getElementById('perfHud');
+let hudElapsed = 0;
+
+QUALITY_TIERS.forEach((tier, i) => {
+  const option = document.createElement('option');
+  option.value = i;
+  option.dataset.i18n = `quality.${tier.id}`;
+  option.textContent = t(`quality.${tier.id}`);
+  qualitySelect.appendChild(option);
+});
+TARGET_FPS.forEach(fps => {
+  const option = document.createElement('option');
+  option.value = fps;
+  option.textContent = `${fps} fps`;
+  option.selected = fps === governor.targetFps;
+  targetFpsSelect.appendChild(option);
+});
+
+function tierPixelRatio() {
+  return Math.min(window.devicePixelRatio || 1, governor.settings.pixelRatio);
+}
+
+function applyQuality(previous) {
+  const tier = governor.settings;
+  renderer.setPixelRatio(tierPixelRatio());
+  if (tier.particles !== previous.particles || tier.radialSegments !== previous.radialSegments) buildShape();
+  logToConsole(t(governor.pinned ? 'log.qualityPinned' : 'log.quality', { tier: t(`quality.${tier.id}`) }));
+  if (tier.antialias !== renderer.getContextAttributes().antialias) {
+    logToConsole(t(tier.antialias ? 'log.antialiasOn' : 'log.antialiasOff'));
+  }
+  updatePerfHud();
+}
+
+function updatePerfHud() {
+  if (perfHud.hidden) return;
+  const { render, memory } = renderer.info;
+  const tier = governor.settings;
+  perfHud.replaceChildren(...[
+    t('perf.frame', { fps: Math.round(governor.fps), ms: (governor.frameTime * 1000).toFixed(1) }),
+    t('perf.draws', { calls: render.calls, triangles: render.triangles.toLocaleString(), points: render.points.toLocaleString() }),
+    // Steady counts over a long session mean rebuilds free what they replace (see lifecycle.js)
+    t('perf.memory', { geometries: memory.geometries, textures: memory.textures, labels: labelRenderer.domElement.childElementCount }),
+    t('perf.tier', {
+      tier: t(`quality.${tier.id}`),
+      mode: t(governor.pinned ? 'perf.pinned' : 'perf.auto'),
+      ratio: renderer.getPixelRatio().toFixed(2),
+      aa: t(renderer.getContextAttributes().antialias ? 'perf.on' : 'perf.off')
+    })
+  ].map(text => {
+    const line = document.createElement('div');
+    line.textContent = text;
+    return line;
+  }));
+}
+
+function setPerfHud(on) {
+  perfHudToggle.checked = on;
+  perfHud.hidden = !on;
+  updatePerfHud();
+}
+
+// Called every animation frame with the real (wall clock) frame time
+function updatePerformance(realDt) {
+  const previous = governor.settings;
+  if (!frameStep && governor.sample(realDt)) applyQuality(previous);
+  hudElapsed += realDt;
+  if (hudElapsed >= HUD_INTERVAL) {
+    hudElapsed = 0;
+    updatePerfHud();
+  }
+}
+
+qualitySelect.addEventListener('change', () => {
+  const previous = governor.settings;
+  const changed = governor.pin(qualitySelect.value === 'auto' ? null : parseInt(qualitySelect.value, 10));
+  if (changed) applyQuality(previous);
+  else updatePerfHud();
+});
+targetFpsSelect.addEventListener('change', () => governor.setTarget(parseInt(targetFpsSelect.value, 10)));
+perfHudToggle.addEventListener('change', () => setPerfHud(perfHudToggle.checked));
+
+// --- Language ---
+// Interface text comes from the catalogs in i18n.js, scenario text from the
+// scenario's own `locales` table. Switching keeps the current step and time.
+const localeSelect = document.getElementById('localeSelect');
+Object.entries(LOCALES).forEach(([id, name]) => {
+  const option = document.createElement('option');
+  option.value = id;
+  option.textContent = name;
+  localeSelect.appendChild(option);
+});
+localeSelect.value = getLocale();
+
+function applyLocale() {
+  document.documentElement.lang = getLocale();
+  translatePage();
+  const choice = choiceSelect.value;
+  buildChoiceSelect();
+  choiceSelect.value = choice;
+  captureClipBtn.textContent = t(clip ? 'ui.stopRecording' : 'ui.recordRun');
+  lastGate = undefined; // Re-label the gate status on the next frame
+  updateQuizScore();
+  if (drawerRegion) fillRegionDrawer(drawerRegion);
+  renderMeshStatus();
+
+  if (!sourceScenario) return;
+  scenario = localizeScenario(sourceScenario, getLocale());
+  steps = scenario.steps;
+  labelChannels(scenarioChannels(scenario));
+  timeline.replace(steps.map(stepSegment));
+  if (currentStep >= 0) updateUIAndState();
+  else showStartText();
+  if (quizStep >= 0 && !answeredQuizzes.has(quizStep)) showQuiz(quizStep);
+}
+
+localeSelect.addEventListener('change', () => {
+  setLocale(localeSelect.value);
+  applyLocale();
+});
+applyLocale();
+
+// --- Accessibility ---
+// Screen readers get a live narration of step changes and of activity changes
+// once they settle (see narration.js), plus a text description of the pathway
+// state. The keyboard drives the steps, playback and region focus. Reduced
+// motion follows the OS setting and can be toggled in the panel.
+const narrator = new Narrator(document.getElementById('narration'));
+const settledGate = new SettledValue();
+const settledBalance = {}; // Channel id → SettledValue of its pulse style
+const a11yPanel = document.getElementById('a11yPanel');
+const pathwayText = document.getElementById('pathwayText');
+const DESCRIBE_INTERVAL = 1; // seconds between refreshes of the pathway text
+let describedAt = -Infinity;
+
+function pathwayDescription() {
+  return describePathways(model, channels, pulseStyleFor);
+}
+
+// Every frame; speaks only when the gate or a channel's pathway balance settles on a new state
+function updateNarration(time) {
+  if (settledGate.update(model.selected(), time)) {
+    const winner = channels.find(ch => ch.id === settledGate.value);
+    narrator.say(winner ? t('narration.gateOpen', { name: winner.name }) : t('narration.gateClosed'));
+  }
+  channels.forEach(ch => {
+    const balance = settledBalance[ch.id] || (settledBalance[ch.id] = new SettledValue('normal'));
+    if (balance.update(pulseStyleFor(ch.id), time)) {
+      narrator.say(t('narration.balance', { name: ch.name, balance: t(`balance.${balance.value}`) }));
+    }
+  });
+
+  if (!a11yPanel.open || time - describedAt < DESCRIBE_INTERVAL) return;
+  describedAt = time;
+  pathwayText.innerHTML = '';
+  pathwayDescription().forEach(line => {
+    const p = document.createElement('p');
+    p.textContent = line;
+    pathwayText.appendChild(p);
+  });
+}
+
+const REGION_KEYS = Object.keys(REGIONS); // Keys 1..7 in this order
+const SHORTCUTS = [
+  { keys: '→ / N', action: 'shortcut.next' },
+  { keys: '← / B', action: 'shortcut.back' },
+  { keys: 'Space / P', action: 'shortcut.play' },
+  { keys: `1–${REGION_KEYS.length}`, action: 'shortcut.regions' },
+  { keys: 'Esc', action: 'shortcut.close' },
+  { keys: 'D', action: 'shortcut.describe' },
+  { keys: 'F', action: 'shortcut.hud' }
+];
+
+const shortcutList = document.getElementById('shortcutList');
+SHORTCUTS.forEach(s => {
+  const dt = document.createElement('dt');
+  dt.textContent = s.keys;
+  const dd = document.createElement('dd');
+  dd.dataset.i18n = s.action;
+  dd.textContent = t(s.action);
+  shortcutList.append(dt, dd);
+});
+
+let focusBeforeDrawer = null;
+
+function focusRegion(id) {
+  focusBeforeDrawer = document.activeElement;
+  openRegionDrawer(id);
+  regionDrawer.focus();
+  narrator.say(t('narration.region', { name: t(`region.${id}`), function: t(`anatomy.${id}.function`) }));
+}
+
+window.addEventListener('keydown', (event) => {
+  if (event.ctrlKey || event.metaKey || event.altKey) return;
+  if (event.target.closest('input, select, textarea')) return; // Keys belong to the control
+  const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+
+  if (key === 'ArrowRight' || key === 'n') {
+    window.nextStep();
+  } else if (key === 'ArrowLeft' || key === 'b') {
+    window.prevStep();
+  } else if (key === 'p' || (key === ' ' && !event.target.closest('button, summary'))) {
+    playBtn.click();
+    narrator.say(t(timeline.playing && timeline.hold === null ? 'narration.playing' : 'narration.paused'));
+  } else if (REGION_KEYS[parseInt(key, 10) - 1]) {
+    focusRegion(REGION_KEYS[parseInt(key, 10) - 1]);
+  } else if (key === 'Escape' && drawerRegion) {
+    closeRegionDrawer();
+    if (focusBeforeDrawer) focusBeforeDrawer.focus();
+    focusBeforeDrawer = null;
+  } else if (key === 'd') {
+    narrator.say(pathwayDescription().join(' '));
+  } else if (key === 'f') {
+    setPerfHud(perfHud.hidden);
+  } else {
+    return;
+  }
+  event.preventDefault();
+});
+
+const reducedMotionToggle = document.getElementById('reducedMotionToggle');
+const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+let reducedMotion = false;
+
+function setReducedMotion(on) {
+  reducedMotion = on;
+  reducedMotionToggle.checked = on;
+  document.body.classList.toggle('reduced-motion', on);
+}
+
+setReducedMotion(reducedMotionQuery.matches);
+reducedMotionQuery.addEventListener('change', (event) => setReducedMotion(event.matches));
+reducedMotionToggle.addEventListener('change', () => setReducedMotion(reducedMotionToggle.checked));
 
 // --- Interaction ---
-const mouse = new THREE.Vector2();
-window.addEventListener('mousemove', (event) => {
-  mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-  mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+// The pointer (mouse, pen or touch) is cast into the brain: the first fiber
+// under it (see pointer.js), or else the region volume it is over, becomes the
+// repel point of the tube shader, with a readout of the region and fibers there.
+// The fibers around it are highlighted (see highlightFibers()).
+const REPEL_FADE = 0.15; // Per-tick blend towards the target strength
+const REGION_REACH = 0.035; // Hover points this close to a region center belong to it
+const fiberProbe = new FiberProbe();
+const connectionFibers = new Map(); // Connection id → fibers between its two regions, for connectionFibersOf
+let connectionFibersOf = null;      // The curves connectionFibers was found in
+const pointer = { ndc: new THREE.Vector2(), x: 0, y: 0, active: false, touch: false };
+const repel = { radius: 0.05, strength: 0.03 };
+const hoverReadout = document.getElementById('hoverReadout');
+let hoverEnabled = true;
+
+function setPointer(event) {
+  pointer.x = event.clientX;
+  pointer.y = event.clientY;
+  pointer.ndc.set((event.clientX / window.innerWidth) * 2 - 1, -(event.clientY / window.innerHeight) * 2 + 1);
+  pointer.active = true;
+  pointer.touch = event.pointerType === 'touch';
+}
+
+function releasePointer() {
+  pointer.active = false;
+}
+
+renderer.domElement.addEventListener('pointermove', setPointer);
+renderer.domElement.addEventListener('pointerdown', setPointer);
+renderer.domElement.addEventListener('pointerleave', releasePointer);
+renderer.domElement.addEventListener('pointercancel', releasePointer);
+// A lifted finger lets the fibers spring back; a mouse keeps hovering
+renderer.domElement.addEventListener('pointerup', (event) => {
+  if (event.pointerType === 'touch') releasePointer();
+});
+
+// The first fiber along the pointer ray, else the region volume it crosses
+function probePointer() {
+  if (!pointer.active) return null;
+  raycaster.setFromCamera(pointer.ndc, camera);
+  const fiber = fiberProbe.pick(raycaster.ray);
+  if (fiber) return fiber;
+  const volume = raycaster.intersectObjects(regionVolumes.children)[0];
+  return volume ? volume.point : null;
+}
+
+function pathwayName(path) {
+  const route = ROUTES.find(r => r.path === path);
+  if (route) return t(`route.${route.id}`);
+  const channel = channels.find(ch => ch.path === path);
+  return channel ? channel.name : null;
+}
+
+function updateHoverReadout(point, count) {
+  if (!point || !hoverEnabled) {
+    hoverReadout.hidden = true;
+    return;
+  }
+  let region = null;
+  let nearest = REGION_REACH;
+  Object.entries(REGIONS).forEach(([id, r]) => {
+    const d = r.position.distanceTo(point);
+    if (d < nearest) {
+      region = id;
+      nearest = d;
+    }
+  });
+  const parts = [
+    region && t(`region.${region}`),
+    count === 1 ? t('hover.fiber') : t('hover.fibers', { count }),
+    ...pathways.filter(path => curveNear(path.samples, point, repel.radius)).map(pathwayName)
+  ].filter(Boolean);
+
+  const text = parts.join(' · ');
+  if (hoverReadout.textContent !== text) hoverReadout.textContent = text;
+  hoverReadout.hidden = false;
+  // Beside the cursor; above a finger so it stays visible
+  hoverReadout.style.left = `${pointer.x + 14}px`;
+  hoverReadout.style.top = `${pointer.touch ? pointer.y - 48 : pointer.y + 14}px`;
+}
+
+// A pathway is drawn by the fibers that reach both of its regions
+function fibersOfConnection(c) {
+  if (connectionFibersOf !== fiberProbe.curves) {
+    connectionFibers.clear();
+    connectionFibersOf = fiberProbe.curves;
+  }
+  if (!connectionFibers.has(c.id)) {
+    connectionFibers.set(c.id, fiberProbe.fibersBetween(REGIONS[c.from].position, REGIONS[c.to].position, REGION_REACH));
+  }
+  return connectionFibers.get(c.id);
+}
+
+// Fibers near the pointer light up; otherwise those of the pathway picked in the
+// drawer, or else those through the region in the drawer.
+// `ticks` is the number of simulation ticks this frame (the repel strength fades per tick).
+function updatePointer(ticks) {
+  fiberProbe.setFibers(curves);
+  const point = probePointer();
+  const fibers = point ? fiberProbe.fibersNear(point, repel.radius)
+    : drawerConnection ? fibersOfConnection(drawerConnection)
+      : drawerRegion ? fiberProbe.fibersNear(REGIONS[drawerRegion].position, REGION_REACH) : [];
+  highlightFibers(hoverEnabled || !point ? fibers : []);
+  const uniforms = tubeMaterial.uniforms;
+  if (point) uniforms.mouse.value.copy(point);
+  uniforms.repelRadius.value = repel.radius;
+  uniforms.repelStrength.value = THREE.MathUtils.lerp(uniforms.repelStrength.value, point ? repel.strength : 0, tickBlend(REPEL_FADE, ticks));
+  updateHoverReadout(point, fibers.length);
+}
+
+[['repelRadius', 'radius'], ['repelStrength', 'strength']].forEach(([id, key]) => {
+  const input = document.getElementById(id);
+  const output = document.getElementById(`${id}Value`);
+  input.value = repel[key];
+  output.textContent = repel[key].toFixed(3);
+  input.addEventListener('input', () => {
+    repel[key] = parseFloat(input.value);
+    output.textContent = repel[key].toFixed(3);
+  });
+});
+document.getElementById('hoverToggle').addEventListener('change', (event) => {
+  hoverEnabled = event.target.checked;
 });
 
 // --- Animation ---
+// Simulated time runs in fixed ticks (see clock.js), so the model, the timeline,
+// pulse motion and the monitors advance at the same pace on any display; the
+// frame itself only draws the latest state, interpolating pulses between ticks.
 const clock = new THREE.Clock();
+const simClock = new FixedStepClock();
+let sceneTime = 0; // Seconds of animated time; follows the wall clock unless frame stepping
+
+// One tick of SIM_STEP seconds
+function simulate() {
+  // Fire due timeline cues, then step the basal ganglia model at playback speed
+  // (frozen while paused); pathways and monitors read its outputs
+  if (player) {
+    // Replay: recorded rates stand in for the model
+    Object.entries(player.update(SIM_STEP, applyRecordedEvent)).forEach(([n, rates]) => {
+      if (model.rates[n]) Object.assign(model.rates[n], rates);
+    });
+    if (player.done) stopReplay('log.replayFinished');
+  } else {
+    timeline.update(SIM_STEP);
+    model.step(SIM_STEP * timeline.rate);
+  }
+  recorder.tick(SIM_STEP, model);
+
+  pathways.forEach(path => {
+    const activity = path.activity();
+    path.tubeMat.opacity = THREE.MathUtils.lerp(path.tubeMat.opacity, activity * 0.6, 0.1);
+
+    let speed = 0.001 + (activity * 0.005); // Scaled speed for smaller brain
+    if (model.channels.includes(path.id) && pulseStyleFor(path.id) === 'stall') speed *= 0.05;
+    speed *= condition.pulse.speed;
+    path.pulses.forEach(p => {
+      if (!p.active) return;
+      p.speed = speed;
+      p.progress += speed;
+      if (p.progress > 1) p.progress = 0;
+    });
+  });
+
+  sampleGraphValues();
+}
 
 function animate() {
   requestAnimationFrame(animate);
-  const time = clock.getElapsedTime();
+  const realDt = clock.getDelta();
+  updatePerformance(realDt);
+  const dt = nextFrameDelta(realDt);
+  if (dt === null) return; // Frame stepping: not yet time for the next frame
+  sceneTime += dt;
+  const time = sceneTime;
+
+  const ticks = simClock.advance(dt);
+  for (let i = 0; i < ticks; i++) simulate();
+  const alpha = simClock.alpha;
+  updateRecordStatus();
+  updateThoughtBubbles();
+  updateTimelineControls();
 
   // Update uniforms
   tubeMaterial.uniforms.time.value = time;
-  tubeMaterial.uniforms.mouse.value.set(mouse.x * 0.5, mouse.y * 0.5, 0);
-  particleMaterial.uniforms.time.value = time;
+  updatePointer(ticks);
+  particleMaterial.uniforms.time.value = particleTime();
 
-  // Update particles
-  const positions = particleGeometry.attributes.position.array;
-
-  for (let i = 0; i < myPoints.length; i++) {
-    myPoints[i].curPosition += myPoints[i].speed;
-    myPoints[i].curPosition = myPoints[i].curPosition % 1;
-
-    const curPoint = myPoints[i].curve.getPointAt(myPoints[i].curPosition);
-    positions[i * 3] = curPoint.x;
-    positions[i * 3 + 1] = curPoint.y;
-    positions[i * 3 + 2] = curPoint.z;
-  }
-
-  particleGeometry.attributes.position.needsUpdate = true;
+  // Particles move on the GPU; only the shape morph is driven from here
+  updateMorph(time);
 
   // Update Simulation Pathways
+  const step = steps[currentStep];
   pathways.forEach(path => {
-    const activity = path.id === 'phone' ? phoneActivity : sportActivity;
-    path.tubeMat.opacity = THREE.MathUtils.lerp(path.tubeMat.opacity, activity * 0.6, 0.1);
+    const pulseStyle = model.channels.includes(path.id) ? pulseStyleFor(path.id) : 'normal';
 
     path.pulses.forEach(p => {
       if (!p.active) { p.mesh.visible = false; return; }
       p.mesh.visible = true;
 
-      let currentSpeed = 0.001 + (activity * 0.005); // Scaled speed for smaller brain
+      // Drawn part of the way into the next tick
+      const pos = path.curve.getPointAt(Math.min(1, p.progress + p.speed * alpha));
+      p.mesh.position.copy(pos);
 
-      if (path.id === 'sport' && currentStep >= 2) {
-        currentSpeed *= 0.05;
-        p.mesh.position.add(new THREE.Vector3((Math.random() - .5) * 0.001, (Math.random() - .5) * 0.001, 0));
+      // Condition-specific pulse behavior: tremor-like jitter and dropped packets
+      if (condition.pulse.jitter) {
+        const j = condition.pulse.jitter;
+        p.mesh.position.x += (Math.random() - .5) * j;
+        p.mesh.position.y += (Math.random() - .5) * j;
       }
+      if (condition.pulse.flicker && Math.random() < condition.pulse.flicker) p.mesh.visible = false;
 
-      p.progress += currentSpeed;
-      if (p.progress > 1) p.progress = 0;
-
-      const pos = path.curve.getPointAt(p.progress);
-      p.mesh.position.copy(pos);
-
-      if (path.id === 'phone' && currentStep >= 1) {
+      if (pulseStyle === 'boost') {
         p.mesh.scale.setScalar(2.0);
         p.mesh.material.color.setHex(0xffffff);
-      } else if (path.id === 'sport' && currentStep >= 2) {
+      } else if (pulseStyle === 'stall') {
         p.mesh.scale.setScalar(0.5);
         p.mesh.material.color.setHex(0x550000);
       } else {
         p.mesh.scale.setScalar(1);
-        p.mesh.material.color.copy(path.baseColor);
+        p.mesh.material.color.copy(path.color);
       }
     });
   });
 
   // --- Visual Enhancement: Decision "Electrical Shine" ---
-  // When decision is made (Step 3), make the whole brain glow/pulse
-  if (currentStep === 3) {
-    // Fast electrical pulse
-    const intensity = 1.0 + Math.sin(time * 20) * 0.5; // Base 1.0, +/- 0.5
+  // When the step asks for it (the decision), make the whole brain glow/pulse
+  if (step && step.strobe) {
+    // Fast electrical pulse; a slow, shallow swell in reduced-motion mode
+    const intensity = reducedMotion
+      ? 1.0 + Math.sin(time * 2) * 0.1
+      : 1.0 + Math.sin(time * 20) * 0.5; // Base 1.0, +/- 0.5
     // Boost blue channel for "electrical" look
-    const baseR = 0.1; const baseG = 0.3; const baseB = 0.6;
+    const { r: baseR, g: baseG, b: baseB } = look.color;
 
     tubeMaterial.uniforms.color.value.setRGB(baseR * intensity, baseG * intensity, baseB * intensity * 1.5);
     particleMaterial.uniforms.color.value.setRGB(baseR * intensity, baseG * intensity, baseB * intensity * 1.5);
   } else {
-    // Restore base color
-    tubeMaterial.uniforms.color.value.setRGB(0.1, 0.3, 0.6);
-    particleMaterial.uniforms.color.value.setRGB(0.1, 0.3, 0.6);
+    // Restore the dataset's base color
+    tubeMaterial.uniforms.color.value.copy(look.color);
+    particleMaterial.uniforms.color.value.copy(look.color);
   }
 
   updateLabels(); // Update visibility classes
-  updateGraphValues(); // Update Live EEG Graphs
+  drawGraphs(); // Update Live EEG Graphs
+  updateGateStatus();
+  updateRegionDrawer();
+  updateNarration(time);
 
+  updateCameraTween(time);
   controls.update();
   renderer.render(scene, camera);
   labelRenderer.render(scene, camera);
+  if (clip) addClipFrame();
 }
 
+// A hidden tab gets no frames at all; on return, the time away is skipped
+// rather than caught up, so playback and recordings resume where they were
+document.addEventListener('visibilitychange', () => {
+  if (document.hidden) return;
+  clock.getDelta();
+  simClock.reset();
+  frameBudget = 0;
+});
+
 window.addEventListener('resize', () => {
   camera.aspect = window.innerWidth / window.innerHeight;
   camera.updateProjectionMatrix();
+  renderer.setPixelRatio(tierPixelRatio()); // The window may have moved to another display
   renderer.setSize(window.innerWidth, window.innerHeight);
   labelRenderer.setSize(window.innerWidth, window.innerHeight);
 });
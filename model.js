@@ -0,0 +1,166 @@
+// --- Basal Ganglia Firing-Rate Model ---
+// Rate-coded nuclei, one set per action channel, loosely following the
+// Gurney–Prescott–Redgrave (2001) selection model. Every nucleus is a leaky
+// integrator with a clipped-linear output in 0..1 (1.0 == MAX_HZ).
+
+export const MAX_HZ = 80;
+
+export const NUCLEI = ['cortex', 'd1', 'd2', 'gpe', 'stn', 'gpi', 'thalamus'];
+
+export const DEFAULT_WEIGHTS = {
+  ctxD1: 1.0,     // Corticostriatal → D1 (direct / GO)
+  ctxD2: 1.0,     // Corticostriatal → D2 (indirect / NO-GO)
+  ctxStn: 0.5,    // Hyperdirect pathway
+  costD2: 0.8,    // Effort cost signal onto D2 cells
+  d1Gpi: 1.0,     // D1 ⊣ GPi/SNr
+  d2Gpe: 1.0,     // D2 ⊣ GPe
+  gpeStn: 0.8,    // GPe ⊣ STN
+  gpeGpi: 0.4,    // GPe ⊣ GPi/SNr
+  stnGpe: 0.8,    // STN → GPe (diffuse)
+  stnGpi: 0.8,    // STN → GPi/SNr (diffuse)
+  gpiThal: 1.6,   // GPi/SNr ⊣ Thalamus
+  ctxThal: 0.8    // Cortex → Thalamus (the loop back)
+};
+
+// Region-level wiring of the model, for display. `weight` names a DEFAULT_WEIGHTS
+// entry (null: modulatory), `sign` is +1 for excitation and -1 for inhibition.
+// Each label is the i18n key connection.<id>.
+export const CONNECTIONS = [
+  { id: 'corticostriatalD1', from: 'cortex', to: 'striatum', weight: 'ctxD1', sign: 1 },
+  { id: 'corticostriatalD2', from: 'cortex', to: 'striatum', weight: 'ctxD2', sign: 1 },
+  { id: 'hyperdirect', from: 'cortex', to: 'stn', weight: 'ctxStn', sign: 1 },
+  { id: 'corticothalamic', from: 'cortex', to: 'thalamus', weight: 'ctxThal', sign: 1 },
+  { id: 'dopamine', from: 'snc', to: 'striatum', weight: null, sign: 1 },
+  { id: 'direct', from: 'striatum', to: 'gpi', weight: 'd1Gpi', sign: -1 },
+  { id: 'indirect', from: 'striatum', to: 'gpe', weight: 'd2Gpe', sign: -1 },
+  { id: 'pallidosubthalamic', from: 'gpe', to: 'stn', weight: 'gpeStn', sign: -1 },
+  { id: 'pallidopallidal', from: 'gpe', to: 'gpi', weight: 'gpeGpi', sign: -1 },
+  { id: 'subthalamopallidal', from: 'stn', to: 'gpe', weight: 'stnGpe', sign: 1 },
+  { id: 'subthalamonigral', from: 'stn', to: 'gpi', weight: 'stnGpi', sign: 1 },
+  { id: 'pallidothalamic', from: 'gpi', to: 'thalamus', weight: 'gpiThal', sign: -1 }
+];
+
+// Model nuclei behind each anatomical region ('snc' is the single dopamine level)
+export const REGION_NUCLEI = {
+  cortex: ['cortex'],
+  striatum: ['d1', 'd2'],
+  snc: [],
+  gpe: ['gpe'],
+  stn: ['stn'],
+  gpi: ['gpi'],
+  thalamus: ['thalamus']
+};
+
+export const DEFAULT_DOPAMINE = {
+  tonic: 0.2,     // Background SNc level
+  phasic: 0.8,    // Size of a reward-driven burst
+  d1Gain: 1.0,    // How strongly D1 cells are excited by dopamine
+  d2Gain: 1.0     // How strongly D2 cells are suppressed by dopamine
+};
+
+// Resting offsets (ε) and time constants (seconds) per nucleus
+const THRESHOLDS = { cortex: 0, d1: 0.3, d2: 0.3, gpe: -0.2, stn: -0.25, gpi: -0.5, thalamus: -0.5 };
+const TAU = { cortex: 0.08, d1: 0.1, d2: 0.1, gpe: 0.08, stn: 0.05, gpi: 0.08, thalamus: 0.1, snc: 0.15 };
+
+function clamp01(x) {
+  return Math.min(1, Math.max(0, x));
+}
+
+export class BasalGangliaModel {
+  constructor(channels, options = {}) {
+    this.channels = channels.slice();
+    this.weights = { ...DEFAULT_WEIGHTS, ...options.weights };
+    this.dopamine = { ...DEFAULT_DOPAMINE, ...options.dopamine };
+
+    // Inputs set by the scenario step (per channel, 0..1)
+    this.inputs = { salience: {}, reward: {}, cost: {} };
+
+    // Per-channel corticostriatal efficacy (1 == untrained), changed by learning.js
+    this.plasticity = {};
+    this.channels.forEach(ch => { this.plasticity[ch] = { d1: 1, d2: 1 }; });
+
+    // Membrane activations and output rates per nucleus per channel
+    this.activation = {};
+    this.rates = {};
+    NUCLEI.forEach(n => {
+      this.activation[n] = {};
+      this.rates[n] = {};
+      this.channels.forEach(ch => {
+        this.activation[n][ch] = 0;
+        this.rates[n][ch] = 0;
+      });
+    });
+    this.snc = this.dopamine.tonic;
+  }
+
+  /** Merges step inputs: { salience: {ch: v}, reward: {ch: v}, cost: {ch: v} }. */
+  setInputs(inputs = {}) {
+    ['salience', 'reward', 'cost'].forEach(key => {
+      this.inputs[key] = { ...inputs[key] };
+    });
+  }
+
+  /** Dopamine reaching a channel's striatal cells: tonic level plus its share of the burst. */
+  dopamineAt(ch) {
+    const burst = this.snc - this.dopamine.tonic;
+    return this.dopamine.tonic + burst * (this.inputs.reward[ch] || 0);
+  }
+
+  step(dt) {
+    const w = this.weights;
+    const { salience, reward, cost } = this.inputs;
+    const r = this.rates;
+
+    // SNc: tonic baseline plus a phasic burst whenever any option promises reward
+    const maxReward = Math.max(0, ...this.channels.map(ch => reward[ch] || 0));
+    const sncTarget = this.dopamine.tonic + this.dopamine.phasic * maxReward;
+    this.snc += (sncTarget - this.snc) * Math.min(1, dt / TAU.snc);
+
+    // Diffuse STN and GPe sums (previous step's rates)
+    const stnSum = this.channels.reduce((sum, ch) => sum + r.stn[ch], 0);
+
+    const targets = {};
+    NUCLEI.forEach(n => { targets[n] = {}; });
+
+    this.channels.forEach(ch => {
+      const ctx = salience[ch] || 0;
+      const da = this.dopamineAt(ch);
+      const plastic = this.plasticity[ch];
+
+      targets.cortex[ch] = ctx;
+      targets.d1[ch] = w.ctxD1 * plastic.d1 * ctx * (1 + this.dopamine.d1Gain * da);
+      // The effort cost also reaches D2 cells through corticostriatal synapses, so it shares their plasticity
+      targets.d2[ch] = plastic.d2 * (w.ctxD2 * ctx * (1 - this.dopamine.d2Gain * da) + w.costD2 * (cost[ch] || 0));
+      targets.stn[ch] = w.ctxStn * ctx - w.gpeStn * r.gpe[ch];
+      targets.gpe[ch] = -w.d2Gpe * r.d2[ch] + w.stnGpe * stnSum;
+      targets.gpi[ch] = -w.d1Gpi * r.d1[ch] - w.gpeGpi * r.gpe[ch] + w.stnGpi * stnSum;
+      targets.thalamus[ch] = w.ctxThal * ctx - w.gpiThal * r.gpi[ch];
+    });
+
+    NUCLEI.forEach(n => {
+      const k = Math.min(1, dt / TAU[n]);
+      this.channels.forEach(ch => {
+        this.activation[n][ch] += (targets[n][ch] - this.activation[n][ch]) * k;
+        r[n][ch] = clamp01(this.activation[n][ch] - THRESHOLDS[n]);
+      });
+    });
+  }
+
+  /** Normalized (0..1) output of a channel: its thalamic relay rate. */
+  activity(ch) {
+    return this.rates.thalamus[ch];
+  }
+
+  /** Channel whose thalamic gate is most open, or null when none passes `threshold`. */
+  selected(threshold = 0.6) {
+    let best = null;
+    this.channels.forEach(ch => {
+      if (this.rates.thalamus[ch] >= threshold && (!best || this.rates.thalamus[ch] > this.rates.thalamus[best])) best = ch;
+    });
+    return best;
+  }
+
+  hz(nucleus, ch) {
+    return Math.round(this.rates[nucleus][ch] * MAX_HZ);
+  }
+}
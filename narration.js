@@ -0,0 +1,78 @@
+// --- Narration ---
+// Text output for screen readers. The scene changes every frame, so nothing is
+// read per frame: a watched value (the gate, each channel's pathway balance) is
+// announced only once it has settled on a new state.
+
+import { t } from './i18n.js';
+
+const SETTLE_TIME = 0.8; // seconds a new state must hold before it is announced
+const MAX_LINES = 5;
+
+/**
+ * Speaks through an ARIA live region (aria-live="polite"). Each announcement is
+ * a new line, so bursts are all read and a repeated sentence is read again.
+ */
+export class Narrator {
+  constructor(element) {
+    this.element = element;
+  }
+
+  say(text) {
+    if (!text) return;
+    const line = document.createElement('p');
+    line.textContent = text;
+    this.element.appendChild(line);
+    while (this.element.children.length > MAX_LINES) this.element.firstChild.remove();
+  }
+
+  clear() {
+    this.element.innerHTML = '';
+  }
+}
+
+/** A value that only reports a change once the new value has held for SETTLE_TIME. */
+export class SettledValue {
+  constructor(value = null) {
+    this.reset(value);
+  }
+
+  reset(value = null) {
+    this.value = value;
+    this.candidate = value;
+    this.since = 0;
+  }
+
+  /** Returns true when `value` has just become the settled value. */
+  update(value, time) {
+    if (value !== this.candidate) {
+      this.candidate = value;
+      this.since = time;
+    }
+    if (this.candidate === this.value || time - this.since < SETTLE_TIME) return false;
+    this.value = this.candidate;
+    return true;
+  }
+}
+
+/**
+ * The current pathway state as sentences: dopamine level, then per channel its
+ * striatal, GPi/SNr and thalamic rates, which pathway dominates and whether its
+ * gate is open. `styleOf(channelId)` is the channel's pulse style
+ * ('boost' | 'stall' | 'normal').
+ */
+export function describePathways(model, channels, styleOf) {
+  const winner = model.selected();
+  const lines = [t('describe.dopamine', { level: model.snc.toFixed(2) })];
+  channels.forEach(ch => {
+    lines.push(t('describe.channel', {
+      name: ch.name,
+      d1: model.hz('d1', ch.id),
+      d2: model.hz('d2', ch.id),
+      gpi: model.hz('gpi', ch.id),
+      thalamus: model.hz('thalamus', ch.id),
+      balance: t(`balance.${styleOf(ch.id)}`),
+      gate: t(ch.id === winner ? 'describe.open' : 'describe.closed')
+    }));
+  });
+  return lines;
+}
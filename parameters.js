@@ -0,0 +1,70 @@
+// --- Live Model Parameters ---
+// Slider definitions for the parameter panel. Values are plain numbers keyed by id,
+// so they can be copied, stored and restored without touching the DOM.
+
+import { DEFAULT_DOPAMINE } from './model.js';
+
+export const PARAMETERS = [
+  { id: 'tonic', label: 'Tonic dopamine', min: 0, max: 1, step: 0.01, value: DEFAULT_DOPAMINE.tonic },
+  { id: 'phasic', label: 'Phasic burst size', min: 0, max: 1.5, step: 0.01, value: DEFAULT_DOPAMINE.phasic },
+  { id: 'rewardA', label: 'Reward value · option A', min: 0, max: 2, step: 0.05, value: 1 },
+  { id: 'costB', label: 'Effort cost · option B', min: 0, max: 2, step: 0.05, value: 1 },
+  { id: 'd1Gain', label: 'D1 receptor gain', min: 0, max: 2, step: 0.05, value: DEFAULT_DOPAMINE.d1Gain },
+  { id: 'd2Gain', label: 'D2 receptor gain', min: 0, max: 2, step: 0.05, value: DEFAULT_DOPAMINE.d2Gain }
+];
+
+export function defaultParameters() {
+  const values = {};
+  PARAMETERS.forEach(p => { values[p.id] = p.value; });
+  return values;
+}
+
+/**
+ * Builds one labelled slider per parameter inside `root`.
+ * `onChange(id, value)` fires on every input event; returns a function that
+ * pushes new values back into the sliders (e.g. after a preset is applied).
+ */
+export function createParameterPanel(root, values, onChange) {
+  const inputs = {};
+  const outputs = {};
+
+  PARAMETERS.forEach(p => {
+    const row = document.createElement('label');
+    row.className = 'param-row';
+
+    const name = document.createElement('span');
+    name.className = 'param-name';
+    name.textContent = p.label;
+    name.dataset.i18n = `param.${p.id}`; // Translated with the rest of the page (see i18n.js)
+
+    const output = document.createElement('span');
+    output.className = 'param-value';
+
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = p.min;
+    input.max = p.max;
+    input.step = p.step;
+    input.value = values[p.id];
+    input.addEventListener('input', () => {
+      const value = parseFloat(input.value);
+      output.textContent = value.toFixed(2);
+      onChange(p.id, value);
+    });
+
+    output.textContent = Number(values[p.id]).toFixed(2);
+    row.append(name, output, input);
+    root.appendChild(row);
+
+    inputs[p.id] = input;
+    outputs[p.id] = output;
+  });
+
+  return function syncParameterPanel(next) {
+    Object.entries(next).forEach(([id, value]) => {
+      if (!inputs[id]) return;
+      inputs[id].value = value;
+      outputs[id].textContent = Number(value).toFixed(2);
+    });
+  };
+}
@@ -0,0 +1,92 @@
+// --- Pointer Probe ---
+// What the pointer is over, in 3D. Fibers are far too thin for mesh raycasts,
+// so every curve is sampled once into a polyline and the probe picks the point
+// nearest to the camera that lies within a small cone around the pointer ray.
+// The cone is an angle, so picking feels the same at any zoom level.
+
+import * as THREE from 'three';
+
+const SAMPLES_PER_CURVE = 24;
+const PICK_ANGLE = 0.015; // radians around the pointer ray
+
+const _offset = new THREE.Vector3();
+const _a = new THREE.Vector3();
+const _b = new THREE.Vector3();
+const _onRay = new THREE.Vector3();
+const _onSegment = new THREE.Vector3();
+
+export class FiberProbe {
+  constructor() {
+    this.curves = null;
+    this.points = new Float32Array(0); // x, y, z per sample
+    this.owners = new Uint32Array(0);  // Curve index per sample
+  }
+
+  /** Samples `curves` (a no-op when they are already the sampled ones). */
+  setFibers(curves) {
+    if (curves === this.curves) return;
+    this.curves = curves;
+    this.points = new Float32Array(curves.length * SAMPLES_PER_CURVE * 3);
+    this.owners = new Uint32Array(curves.length * SAMPLES_PER_CURVE);
+    let k = 0;
+    curves.forEach((curve, i) => {
+      curve.getSpacedPoints(SAMPLES_PER_CURVE - 1).forEach(p => {
+        p.toArray(this.points, k * 3);
+        this.owners[k++] = i;
+      });
+    });
+  }
+
+  /** The first fiber point along `ray` (a THREE.Ray), or null when the ray misses every fiber. */
+  pick(ray) {
+    const { points, owners } = this;
+    let best = null;
+    let bestDepth = Infinity;
+    for (let k = 1; k < owners.length; k++) {
+      if (owners[k] !== owners[k - 1]) continue; // Samples of two different curves
+      _a.fromArray(points, (k - 1) * 3);
+      _b.fromArray(points, k * 3);
+      const off = ray.distanceSqToSegment(_a, _b, _onRay, _onSegment);
+      const depth = _onRay.distanceTo(ray.origin);
+      if (depth <= 0 || depth >= bestDepth || off > (PICK_ANGLE * depth) ** 2) continue;
+      best = (best || new THREE.Vector3()).copy(_onSegment);
+      bestDepth = depth;
+    }
+    return best;
+  }
+
+  /** Indices of the fibers passing within `radius` of `point`, in curve order. */
+  fibersNear(point, radius) {
+    const { points, owners } = this;
+    const r2 = radius * radius;
+    const found = [];
+    for (let k = 0; k < owners.length; k++) {
+      if (found[found.length - 1] === owners[k]) continue; // Samples of a curve are contiguous
+      _offset.fromArray(points, k * 3);
+      if (_offset.distanceToSquared(point) < r2) found.push(owners[k]);
+    }
+    return found;
+  }
+
+  /** Indices of the fibers passing within `radius` of both `a` and `b`, in curve order. */
+  fibersBetween(a, b, radius) {
+    const nearB = new Set(this.fibersNear(b, radius));
+    return this.fibersNear(a, radius).filter(i => nearB.has(i));
+  }
+}
+
+/** `curve` sampled like the fibers (x, y, z per sample), for curveNear. */
+export function sampleCurve(curve) {
+  const points = new Float32Array(SAMPLES_PER_CURVE * 3);
+  curve.getSpacedPoints(SAMPLES_PER_CURVE - 1).forEach((p, k) => p.toArray(points, k * 3));
+  return points;
+}
+
+/** Whether a curve sampled by sampleCurve passes within `radius` of `point`. */
+export function curveNear(samples, point, radius) {
+  const r2 = radius * radius;
+  for (let k = 0; k < samples.length; k += 3) {
+    if (_offset.fromArray(samples, k).distanceToSquared(point) < r2) return true;
+  }
+  return false;
+}
@@ -0,0 +1,118 @@
+// --- Adaptive Quality ---
+// Rendering cost is scaled in tiers: pixel ratio, particles per curve, tube
+// radial segments and antialiasing. The governor watches the real frame time
+// and steps down a tier when frames are dropped, and back up after a long
+// stretch at the target rate. Browsers cap frames at the display refresh, so
+// headroom cannot be measured: stepping up is a probe, and a tier that fails
+// its probe is not tried again for the rest of the visit.
+
+export const QUALITY_TIERS = [
+  { id: 'low', pixelRatio: 0.75, particles: 0.25, radialSegments: 2, antialias: false },
+  { id: 'medium', pixelRatio: 1, particles: 0.5, radialSegments: 3, antialias: false },
+  { id: 'high', pixelRatio: 1.5, particles: 1, radialSegments: Infinity, antialias: true },
+  { id: 'ultra', pixelRatio: 2, particles: 2, radialSegments: Infinity, antialias: true }
+];
+export const DEFAULT_TIER = 2;
+export const TARGET_FPS = [30, 60];
+
+const STORAGE_KEY = 'basalganglia.quality';
+const SMOOTHING = 0.05;    // Weight of each new frame in the average frame time
+const MAX_FRAME = 0.25;    // seconds; longer frames are stalls (tab switch, GC), not load
+const SETTLE_TIME = 2;     // seconds after a change before the average is trusted again
+const DOWNGRADE_AT = 1.2;  // Frame time over budget that counts as dropping frames
+const DOWNGRADE_TIME = 1;  // seconds of dropped frames before a tier is dropped
+const UPGRADE_AT = 1.05;   // Frame time within budget that counts as holding the target
+const UPGRADE_TIME = 8;    // seconds at the target before the next tier is tried
+
+/** Tier index remembered from the last visit (the renderer's antialiasing is fixed at startup). */
+export function storedTier() {
+  try {
+    const index = QUALITY_TIERS.findIndex(tier => tier.id === localStorage.getItem(STORAGE_KEY));
+    return index === -1 ? DEFAULT_TIER : index;
+  } catch {
+    return DEFAULT_TIER; // Storage blocked
+  }
+}
+
+function storeTier(index) {
+  try {
+    localStorage.setItem(STORAGE_KEY, QUALITY_TIERS[index].id);
+  } catch {
+    // Applies to this visit only
+  }
+}
+
+export class QualityGovernor {
+  constructor(tier = DEFAULT_TIER, targetFps = 60) {
+    this.tier = tier;
+    this.targetFps = targetFps;
+    this.pinned = false;   // A presenter's choice: no automatic changes
+    this.frameTime = 1 / targetFps;
+    this.settle = SETTLE_TIME;
+    this.onTarget = 0;     // seconds in a row at the target rate
+    this.overBudget = 0;   // seconds in a row over budget
+    this.ceiling = QUALITY_TIERS.length; // Lowest tier whose probe failed
+    this.probing = false;  // The current tier was reached by stepping up
+  }
+
+  get settings() {
+    return QUALITY_TIERS[this.tier];
+  }
+
+  get fps() {
+    return 1 / this.frameTime;
+  }
+
+  /** Pins `index`, or hands control back to the governor with null. */
+  pin(index) {
+    this.pinned = index !== null;
+    if (this.pinned) return this.set(index);
+    this.ceiling = QUALITY_TIERS.length;
+    this.restart();
+    return false;
+  }
+
+  setTarget(fps) {
+    this.targetFps = fps;
+    this.ceiling = QUALITY_TIERS.length;
+    this.restart();
+  }
+
+  /** Feeds one real frame time in seconds; returns true when the tier changed. */
+  sample(dt) {
+    if (!(dt > 0) || dt > MAX_FRAME) return false;
+    this.frameTime += (dt - this.frameTime) * SMOOTHING;
+    if (this.pinned) return false;
+    if (this.settle > 0) {
+      this.settle -= dt;
+      return false;
+    }
+
+    const budget = 1 / this.targetFps;
+    this.overBudget = this.frameTime > budget * DOWNGRADE_AT ? this.overBudget + dt : 0;
+    if (this.overBudget >= DOWNGRADE_TIME && this.tier > 0) {
+      if (this.probing) this.ceiling = this.tier;
+      return this.set(this.tier - 1);
+    }
+    this.onTarget = this.frameTime <= budget * UPGRADE_AT ? this.onTarget + dt : 0;
+    if (this.onTarget >= UPGRADE_TIME && this.tier + 1 < this.ceiling) return this.set(this.tier + 1, true);
+    return false;
+  }
+
+  set(index, probing = false) {
+    if (index === this.tier) return false;
+    this.tier = index;
+    this.probing = probing;
+    storeTier(index);
+    this.restart();
+    return true;
+  }
+
+  // Frame times of the previous tier say nothing about the new one
+  restart() {
+    this.frameTime = 1 / this.targetFps;
+    this.settle = SETTLE_TIME;
+    this.onTarget = 0;
+    this.overBudget = 0;
+  }
+}
@@ -0,0 +1,54 @@
+// --- Guided Quiz ---
+// Questions attached to scenario steps (see `quiz` in scenario.js) are asked
+// before the step plays; the step's pathway animation then shows the answer.
+// Scores cover the whole browser session, across scenarios and page reloads.
+
+const STORAGE_KEY = 'basalganglia.quiz';
+
+/**
+ * The answers offered for `quiz`, as [{ value, text }]. Predictions offer every
+ * channel plus "none" (value null) for a gate that stays closed.
+ */
+export function quizOptions(quiz, channels, noneText) {
+  if (quiz.type === 'predict') {
+    return [...channels.map(ch => ({ value: ch.id, text: ch.name })), { value: null, text: noneText }];
+  }
+  return quiz.choices.map((text, i) => ({ value: i, text }));
+}
+
+/** The right value for `quiz`; a prediction needs the channel the gate let through. */
+export function quizAnswer(quiz, winner = null) {
+  return quiz.type === 'predict' ? winner : quiz.answer;
+}
+
+export class QuizScore {
+  constructor() {
+    this.asked = 0;
+    this.correct = 0;
+    try {
+      Object.assign(this, JSON.parse(sessionStorage.getItem(STORAGE_KEY)));
+    } catch {
+      // Nothing stored yet, or storage blocked: start from zero
+    }
+  }
+
+  record(correct) {
+    this.asked++;
+    if (correct) this.correct++;
+    this.save();
+  }
+
+  reset() {
+    this.asked = 0;
+    this.correct = 0;
+    this.save();
+  }
+
+  save() {
+    try {
+      sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ asked: this.asked, correct: this.correct }));
+    } catch {
+      // Kept for this page only
+    }
+  }
+}
@@ -0,0 +1,226 @@
+// --- Session Recording ---
+// Captures a full experiment run: every nucleus rate of every channel at a fixed
+// sample rate, plus timestamped events (step changes, parameter changes, log
+// lines, quiz answers). Recordings export to JSON (replayable) and CSV (for spreadsheets).
+//
+// JSON layout (version 1):
+//   { version, scenario: { id, title, name }, startedAt, duration,
+//     channels: [{ id, name, color }], nuclei: [...],
+//     samples: [[t, rate(nuclei[0], channels[0]), rate(nuclei[0], channels[1]), ...], ...],
+//     events: [{ t, type: 'step' | 'param' | 'condition' | 'log' | 'quiz', ... }] }
+
+import { MAX_HZ, NUCLEI } from './model.js';
+
+export const RECORDING_VERSION = 1;
+export const SAMPLE_INTERVAL = 0.05; // seconds (20 Hz)
+
+// Fields each event type carries besides `t` and `type`
+const EVENT_FIELDS = {
+  step: e => Number.isInteger(e.step) && e.step >= 0,
+  param: e => typeof e.id === 'string' && Number.isFinite(e.value),
+  condition: e => typeof e.id === 'string',
+  log: e => typeof e.text === 'string',
+  quiz: e => typeof e.correct === 'boolean'
+};
+
+export class RecordingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RecordingError';
+  }
+}
+
+function round(value, digits = 4) {
+  const f = Math.pow(10, digits);
+  return Math.round(value * f) / f;
+}
+
+// Quotes a CSV field when needed
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export class SessionRecorder {
+  constructor() {
+    this.recording = false;
+    this.clear();
+  }
+
+  clear() {
+    this.time = 0;
+    this.sinceSample = Infinity; // Sample on the very first tick
+    this.samples = [];
+    this.events = [];
+    this.lastParams = {};
+    this.header = null;
+  }
+
+  /** `header`: { scenario: { id, title, name }, channels: [{ id, name, color }] } */
+  start(header, params) {
+    this.clear();
+    this.header = { ...header, startedAt: new Date().toISOString() };
+    this.recording = true;
+    this.params(params); // Initial values as the first parameter events
+  }
+
+  stop() {
+    this.recording = false;
+  }
+
+  get hasData() {
+    return this.samples.length > 0;
+  }
+
+  /** Advances the recording clock by `dt` real seconds and samples `model` when due. */
+  tick(dt, model) {
+    if (!this.recording) return;
+    this.time += dt;
+    this.sinceSample += dt;
+    if (this.sinceSample < SAMPLE_INTERVAL) return;
+    this.sinceSample = 0;
+
+    const row = [round(this.time, 3)];
+    NUCLEI.forEach(n => {
+      this.header.channels.forEach(ch => row.push(round(model.rates[n][ch.id])));
+    });
+    this.samples.push(row);
+  }
+
+  event(type, data = {}) {
+    if (!this.recording) return;
+    this.events.push({ t: round(this.time, 3), type, ...data });
+  }
+
+  /** Records one 'param' event per value that changed since the last call. */
+  params(values) {
+    if (!this.recording) return;
+    Object.entries(values).forEach(([id, value]) => {
+      if (this.lastParams[id] === value) return;
+      this.lastParams[id] = value;
+      this.event('param', { id, value });
+    });
+  }
+
+  toJSON() {
+    return {
+      version: RECORDING_VERSION,
+      ...this.header,
+      duration: round(this.time, 3),
+      nuclei: NUCLEI,
+      samples: this.samples,
+      events: this.events
+    };
+  }
+
+  /**
+   * One row per sample (thalamic activity 0..1 and relay rate in Hz per channel)
+   * and one row per event, merged in time order.
+   */
+  toCSV() {
+    const channels = this.header.channels;
+    const thalamus = NUCLEI.indexOf('thalamus') * channels.length;
+    const header = ['time', 'kind', 'step'];
+    channels.forEach(ch => header.push(`${ch.id}_activity`, `${ch.id}_hz`));
+    header.push('detail');
+
+    const rows = [header.join(',')];
+    const empty = channels.flatMap(() => ['', '']);
+    let step = '';
+    let e = 0;
+
+    const flushEvents = (until) => {
+      while (e < this.events.length && this.events[e].t <= until) {
+        const { t, type, ...data } = this.events[e++];
+        if (type === 'step') step = data.step + 1;
+        const detail = type === 'log' ? data.text
+          : type === 'param' ? `${data.id}=${data.value}`
+            : type === 'step' ? data.title
+              : type === 'quiz' ? `${data.correct ? 'correct' : 'wrong'}: ${data.question}`
+                : data.id;
+        rows.push([t, type, step, ...empty, csvField(detail)].join(','));
+      }
+    };
+
+    this.samples.forEach(sample => {
+      flushEvents(sample[0]);
+      const values = channels.flatMap((ch, i) => {
+        const rate = sample[1 + thalamus + i];
+        return [rate, Math.round(rate * MAX_HZ)];
+      });
+      rows.push([sample[0], 'sample', step, ...values, ''].join(','));
+    });
+    flushEvents(Infinity);
+
+    return rows.join('\n') + '\n';
+  }
+}
+
+/** Parses and checks a JSON recording; throws a RecordingError. */
+export function parseRecording(text) {
+  let rec;
+  try {
+    rec = JSON.parse(text);
+  } catch (err) {
+    throw new RecordingError(`Recording is not valid JSON: ${err.message}`);
+  }
+  if (!rec || rec.version !== RECORDING_VERSION) {
+    throw new RecordingError(`Unsupported recording (expected version ${RECORDING_VERSION})`);
+  }
+  if (!Array.isArray(rec.channels) || !Array.isArray(rec.nuclei) || !Array.isArray(rec.samples) || !Array.isArray(rec.events)) {
+    throw new RecordingError('Recording is missing channels, nuclei, samples or events');
+  }
+  if (!Number.isFinite(rec.duration) || rec.duration < 0) {
+    throw new RecordingError('Recording duration must be a non-negative number of seconds');
+  }
+  rec.events.forEach((e, i) => {
+    if (!e || typeof e !== 'object' || !Number.isFinite(e.t)) {
+      throw new RecordingError(`Event ${i + 1} must be an object with a time in seconds`);
+    }
+    if (!Object.hasOwn(EVENT_FIELDS, e.type) || !EVENT_FIELDS[e.type](e)) {
+      throw new RecordingError(`Event ${i + 1} is not a valid step, param, condition, log or quiz event`);
+    }
+  });
+  const width = 1 + rec.nuclei.length * rec.channels.length;
+  if (rec.samples.some(row => !Array.isArray(row) || row.length !== width)) {
+    throw new RecordingError(`Every sample must hold ${width} numbers`);
+  }
+  return rec;
+}
+
+/**
+ * Plays a parsed recording back in real time. `update(dt, onEvent)` fires due
+ * events and returns the recorded rates at the current time as
+ * { nucleus: { channelId: rate } }.
+ */
+export class RecordingPlayer {
+  constructor(recording) {
+    this.recording = recording;
+    this.time = 0;
+    this.nextEvent = 0;
+    this.nextSample = 0;
+    this.done = false;
+  }
+
+  update(dt, onEvent) {
+    const { events, samples, nuclei, channels } = this.recording;
+    this.time += dt;
+
+    while (this.nextEvent < events.length && events[this.nextEvent].t <= this.time) {
+      onEvent(events[this.nextEvent++]);
+    }
+    while (this.nextSample + 1 < samples.length && samples[this.nextSample + 1][0] <= this.time) {
+      this.nextSample++;
+    }
+    this.done = this.time >= this.recording.duration;
+
+    const row = samples[this.nextSample];
+    const rates = {};
+    if (!row) return rates;
+    nuclei.forEach((n, i) => {
+      rates[n] = {};
+      channels.forEach((ch, j) => { rates[n][ch.id] = row[1 + i * channels.length + j]; });
+    });
+    return rates;
+  }
+}
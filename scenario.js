@@ -0,0 +1,402 @@
+// --- Scenario Format ---
+// A scenario is a JSON file describing one decision story step by step.
+// See public/scenarios/phone-vs-gym.json for the reference scenario. Translations
+// of its text live in its `locales` table (see localizeScenario()).
+
+import { EASINGS } from './easing.js';
+
+export const DEFAULT_SCENARIO = 'phone-vs-gym';
+
+// Used when a scenario does not declare its own competing actions
+export const DEFAULT_CHANNELS = [
+  { id: 'phone', name: 'Phone', color: '#00ffff' },
+  { id: 'sport', name: 'Sport', color: '#ff8800' }
+];
+
+export class ScenarioError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length ? `${message}\n- ${problems.join('\n- ')}` : message);
+    this.name = 'ScenarioError';
+    this.problems = problems;
+  }
+}
+
+// Model inputs a step can set, each a map of channel id → 0..1 (see model.js)
+const INPUT_KINDS = ['salience', 'reward', 'cost'];
+
+// 'choice': fixed answers, one of them right. 'predict': the answers are the
+// channels (or none), and the step's own gate outcome decides which one is right.
+export const QUIZ_TYPES = ['choice', 'predict'];
+
+export const LOG_STAGGER = 0.6; // seconds between the log lines of a step
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isVector(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(isNumber);
+}
+
+function checkString(problems, where, value, required = true) {
+  if (value === undefined && !required) return;
+  if (typeof value !== 'string' || value.length === 0) {
+    problems.push(`${where} must be a non-empty string`);
+  }
+}
+
+function checkIdList(problems, where, value, known) {
+  if (value === undefined) return;
+  if (!Array.isArray(value)) {
+    problems.push(`${where} must be an array`);
+    return;
+  }
+  value.forEach(id => {
+    if (known && !known.includes(id)) problems.push(`${where}: unknown id "${id}"`);
+  });
+}
+
+/**
+ * Seconds into `step` at which its last cue runs: the model readout after the
+ * logs, or a later thought. A step cannot end before it.
+ */
+export function stepCueEnd(step) {
+  const logs = Array.isArray(step.logs) ? step.logs.length : 0;
+  const thoughts = Array.isArray(step.thoughts) ? step.thoughts : [];
+  const delays = thoughts.map(t => (t && isNumber(t.delay) ? t.delay / 1000 : 0));
+  return Math.max((logs + 1) * LOG_STAGGER, ...delays);
+}
+
+/** The action channels a scenario competes over. */
+export function scenarioChannels(scenario) {
+  return scenario.channels || DEFAULT_CHANNELS;
+}
+
+/**
+ * Checks a parsed scenario object and returns a list of human readable problems.
+ * `options.labels` restricts which region labels steps may reference.
+ */
+export function validateScenario(scenario, options = {}) {
+  const problems = [];
+  const { labels } = options;
+
+  if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) {
+    return ['scenario must be a JSON object'];
+  }
+
+  checkString(problems, 'id', scenario.id);
+  checkString(problems, 'title', scenario.title);
+
+  if (scenario.start !== undefined) {
+    if (!scenario.start || typeof scenario.start !== 'object') {
+      problems.push('start must be an object');
+    } else {
+      checkString(problems, 'start.title', scenario.start.title, false);
+      checkString(problems, 'start.desc', scenario.start.desc, false);
+      checkString(problems, 'start.btn', scenario.start.btn, false);
+    }
+  }
+
+  if (scenario.channels !== undefined) {
+    if (!Array.isArray(scenario.channels) || scenario.channels.length < 2) {
+      problems.push('channels must be an array of at least two actions');
+    } else {
+      const seen = new Set();
+      scenario.channels.forEach((ch, i) => {
+        const at = `channels[${i}]`;
+        if (!ch || typeof ch.id !== 'string' || !/^[a-z][a-z0-9_-]*$/i.test(ch.id)) {
+          problems.push(`${at}.id must be a simple identifier (letters, digits, - and _)`);
+        }
+        checkString(problems, `${at}.name`, ch && ch.name);
+        if (ch && seen.has(ch.id)) problems.push(`${at}.id "${ch.id}" is used twice`);
+        if (ch) seen.add(ch.id);
+        if (ch && ch.color !== undefined && !/^#[0-9a-f]{6}$/i.test(ch.color)) problems.push(`${at}.color must look like #rrggbb`);
+        if (ch && ch.anchor !== undefined && !isVector(ch.anchor)) problems.push(`${at}.anchor must be an [x, y, z] array`);
+      });
+    }
+  }
+  const channels = Array.isArray(scenario.channels) ? scenario.channels.map(ch => ch && ch.id) : DEFAULT_CHANNELS.map(ch => ch.id);
+
+  // Every channel doubles as a thought anchor next to its pathway
+  const anchors = scenario.anchors || {};
+  Object.entries(anchors).forEach(([name, pos]) => {
+    if (!isVector(pos)) problems.push(`anchors.${name} must be an [x, y, z] array`);
+  });
+  const anchorNames = [...channels, ...Object.keys(anchors)];
+
+  // Value actually experienced after taking each action (used by learning mode)
+  if (scenario.outcomes !== undefined) {
+    if (!scenario.outcomes || typeof scenario.outcomes !== 'object') {
+      problems.push('outcomes must map channel ids to values');
+    } else {
+      Object.entries(scenario.outcomes).forEach(([id, value]) => {
+        if (!channels.includes(id)) problems.push(`outcomes: unknown channel "${id}"`);
+        if (!isNumber(value) || value < 0 || value > 1) problems.push(`outcomes.${id} must be between 0 and 1`);
+      });
+    }
+  }
+
+  if (!Array.isArray(scenario.steps) || scenario.steps.length === 0) {
+    problems.push('steps must be a non-empty array');
+    return problems;
+  }
+
+  scenario.steps.forEach((step, i) => {
+    const at = `steps[${i}]`;
+    if (!step || typeof step !== 'object') {
+      problems.push(`${at} must be an object`);
+      return;
+    }
+
+    checkString(problems, `${at}.title`, step.title);
+    checkString(problems, `${at}.desc`, step.desc);
+    checkString(problems, `${at}.btn`, step.btn);
+
+    if (!step.inputs || typeof step.inputs !== 'object') {
+      problems.push(`${at}.inputs must describe the model inputs of this step`);
+    } else {
+      Object.entries(step.inputs).forEach(([key, map]) => {
+        if (!INPUT_KINDS.includes(key)) {
+          problems.push(`${at}.inputs.${key} is not one of ${INPUT_KINDS.join(', ')}`);
+          return;
+        }
+        Object.entries(map || {}).forEach(([id, value]) => {
+          if (!channels.includes(id)) problems.push(`${at}.inputs.${key}: unknown channel "${id}"`);
+          if (!isNumber(value) || value < 0 || value > 1) problems.push(`${at}.inputs.${key}.${id} must be between 0 and 1`);
+        });
+      });
+    }
+
+    if (step.logs !== undefined) {
+      if (!Array.isArray(step.logs)) problems.push(`${at}.logs must be an array`);
+      else step.logs.forEach((log, j) => checkString(problems, `${at}.logs[${j}]`, log));
+    }
+
+    if (step.labels !== undefined) {
+      if (!step.labels || typeof step.labels !== 'object') {
+        problems.push(`${at}.labels must be an object`);
+      } else {
+        checkIdList(problems, `${at}.labels.visible`, step.labels.visible, labels);
+        checkIdList(problems, `${at}.labels.pulse`, step.labels.pulse, labels);
+      }
+    }
+
+    if (step.duration !== undefined && (!isNumber(step.duration) || step.duration <= 0)) {
+      problems.push(`${at}.duration must be a positive number of seconds`);
+    } else if (step.duration !== undefined && step.duration <= stepCueEnd(step)) {
+      problems.push(`${at}.duration must be longer than its logs and thoughts (${stepCueEnd(step).toFixed(1)} s)`);
+    }
+
+    if (step.strobe !== undefined && typeof step.strobe !== 'boolean') {
+      problems.push(`${at}.strobe must be true or false`);
+    }
+
+    // Camera shot: target is a region id (see `labels`) or an [x, y, z] point
+    if (step.camera !== undefined) {
+      const cam = step.camera;
+      if (!cam || typeof cam !== 'object') {
+        problems.push(`${at}.camera must be an object`);
+      } else {
+        if (typeof cam.target === 'string') {
+          if (labels && !labels.includes(cam.target)) problems.push(`${at}.camera.target: unknown region "${cam.target}"`);
+        } else if (!isVector(cam.target)) {
+          problems.push(`${at}.camera.target must be a region id or an [x, y, z] array`);
+        }
+        if (cam.distance !== undefined && (!isNumber(cam.distance) || cam.distance <= 0)) problems.push(`${at}.camera.distance must be a positive number`);
+        if (cam.duration !== undefined && (!isNumber(cam.duration) || cam.duration <= 0)) problems.push(`${at}.camera.duration must be a positive number of seconds`);
+        if (cam.direction !== undefined && !isVector(cam.direction)) problems.push(`${at}.camera.direction must be an [x, y, z] array`);
+        if (cam.easing !== undefined && !EASINGS[cam.easing]) {
+          problems.push(`${at}.camera.easing is not one of ${Object.keys(EASINGS).join(', ')}`);
+        }
+      }
+    }
+
+    // Asked before the step plays; the step then shows the answer
+    if (step.quiz !== undefined) {
+      const quiz = step.quiz;
+      if (!quiz || typeof quiz !== 'object') {
+        problems.push(`${at}.quiz must be an object`);
+      } else {
+        const type = quiz.type || 'choice';
+        if (!QUIZ_TYPES.includes(type)) problems.push(`${at}.quiz.type is not one of ${QUIZ_TYPES.join(', ')}`);
+        checkString(problems, `${at}.quiz.question`, quiz.question);
+        checkString(problems, `${at}.quiz.explain`, quiz.explain, false);
+        if (type === 'choice') {
+          if (!Array.isArray(quiz.choices) || quiz.choices.length < 2 || quiz.choices.some(c => typeof c !== 'string' || !c.trim())) {
+            problems.push(`${at}.quiz.choices must list at least two answers`);
+          } else if (!Number.isInteger(quiz.answer) || quiz.answer < 0 || quiz.answer >= quiz.choices.length) {
+            problems.push(`${at}.quiz.answer must be the index of the right entry in choices`);
+          }
+        }
+      }
+    }
+
+    if (step.thoughts !== undefined) {
+      if (!Array.isArray(step.thoughts)) {
+        problems.push(`${at}.thoughts must be an array`);
+      } else {
+        step.thoughts.forEach((t, j) => {
+          const tAt = `${at}.thoughts[${j}]`;
+          checkString(problems, `${tAt}.text`, t && t.text);
+          if (t && t.delay !== undefined && (!isNumber(t.delay) || t.delay < 0)) {
+            problems.push(`${tAt}.delay must be a positive number of milliseconds`);
+          }
+          if (t && typeof t.anchor === 'string') {
+            if (!anchorNames.includes(t.anchor)) problems.push(`${tAt}.anchor: unknown anchor "${t.anchor}"`);
+          } else if (!t || !isVector(t.anchor)) {
+            problems.push(`${tAt}.anchor must be an anchor name or an [x, y, z] array`);
+          }
+        });
+      }
+    }
+  });
+
+  if (scenario.locales !== undefined) checkLocales(problems, scenario, channels);
+
+  return problems;
+}
+
+function checkStringList(problems, where, value, length) {
+  if (value === undefined) return;
+  if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+    problems.push(`${where} must be an array of strings`);
+  } else if (value.length !== length) {
+    problems.push(`${where} must have ${length} entries, like the original`);
+  }
+}
+
+// Translations mirror the text fields of the scenario; anything missing falls back to the original
+function checkLocales(problems, scenario, channels) {
+  if (!scenario.locales || typeof scenario.locales !== 'object' || Array.isArray(scenario.locales)) {
+    problems.push('locales must map language codes to translations');
+    return;
+  }
+  Object.entries(scenario.locales).forEach(([locale, overlay]) => {
+    const at = `locales.${locale}`;
+    if (!overlay || typeof overlay !== 'object') {
+      problems.push(`${at} must be an object`);
+      return;
+    }
+    checkString(problems, `${at}.title`, overlay.title, false);
+    if (overlay.start !== undefined) {
+      if (!overlay.start || typeof overlay.start !== 'object') problems.push(`${at}.start must be an object`);
+      else ['title', 'desc', 'btn'].forEach(key => checkString(problems, `${at}.start.${key}`, overlay.start[key], false));
+    }
+    Object.entries(overlay.channels || {}).forEach(([id, name]) => {
+      if (!channels.includes(id)) problems.push(`${at}.channels: unknown channel "${id}"`);
+      checkString(problems, `${at}.channels.${id}`, name);
+    });
+    if (overlay.steps === undefined) return;
+    if (!Array.isArray(overlay.steps) || overlay.steps.length > scenario.steps.length) {
+      problems.push(`${at}.steps must be an array with at most one entry per step`);
+      return;
+    }
+    overlay.steps.forEach((step, i) => {
+      const sAt = `${at}.steps[${i}]`;
+      if (!step || typeof step !== 'object') {
+        problems.push(`${sAt} must be an object`);
+        return;
+      }
+      const original = scenario.steps[i];
+      if (!original || typeof original !== 'object') return; // Reported with the steps
+      ['title', 'desc', 'btn'].forEach(key => checkString(problems, `${sAt}.${key}`, step[key], false));
+      checkStringList(problems, `${sAt}.logs`, step.logs, (original.logs || []).length);
+      checkStringList(problems, `${sAt}.thoughts`, step.thoughts, (original.thoughts || []).length);
+      if (step.quiz !== undefined) {
+        const quiz = original.quiz;
+        if (!quiz) {
+          problems.push(`${sAt}.quiz: the original step has no quiz`);
+        } else if (!step.quiz || typeof step.quiz !== 'object') {
+          problems.push(`${sAt}.quiz must be an object`);
+        } else {
+          ['question', 'explain'].forEach(key => checkString(problems, `${sAt}.quiz.${key}`, step.quiz[key], false));
+          checkStringList(problems, `${sAt}.quiz.choices`, step.quiz.choices, (quiz.choices || []).length);
+        }
+      }
+    });
+  });
+}
+
+/**
+ * Fetches (or reads, for a File from an <input type="file">) and validates a scenario.
+ * Resolves with the scenario object, rejects with a ScenarioError.
+ */
+export async function loadScenario(source, options = {}) {
+  let text;
+  try {
+    text = typeof source === 'string' ? await fetchText(source) : await source.text();
+  } catch (err) {
+    throw new ScenarioError(`Could not read scenario: ${err.message}`);
+  }
+
+  let scenario;
+  try {
+    scenario = JSON.parse(text);
+  } catch (err) {
+    throw new ScenarioError(`Scenario is not valid JSON: ${err.message}`);
+  }
+
+  const problems = validateScenario(scenario, options);
+  if (problems.length) throw new ScenarioError('Scenario is invalid:', problems);
+  return scenario;
+}
+
+async function fetchText(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${response.status} ${response.statusText} (${url})`);
+  return response.text();
+}
+
+export function scenarioUrl(name) {
+  return `${import.meta.env.BASE_URL}scenarios/${encodeURIComponent(name)}.json`;
+}
+
+/**
+ * Returns the scenario with the text of `locale` from its `locales` table laid
+ * over it (title, start screen, channel names, step text, logs, thoughts, quizzes).
+ * The original text is used for anything the translation leaves out.
+ */
+export function localizeScenario(scenario, locale) {
+  const overlay = scenario.locales && scenario.locales[locale];
+  if (!overlay) return scenario;
+  const names = overlay.channels || {};
+  const overlaySteps = overlay.steps || [];
+
+  return {
+    ...scenario,
+    title: overlay.title || scenario.title,
+    start: { ...scenario.start, ...overlay.start },
+    channels: scenario.channels && scenario.channels.map(ch => ({ ...ch, name: names[ch.id] || ch.name })),
+    steps: scenario.steps.map((step, i) => {
+      const text = overlaySteps[i] || {};
+      return {
+        ...step,
+        title: text.title || step.title,
+        desc: text.desc || step.desc,
+        btn: text.btn || step.btn,
+        logs: text.logs || step.logs,
+        thoughts: step.thoughts && step.thoughts.map((t, j) => ({ ...t, text: (text.thoughts && text.thoughts[j]) || t.text })),
+        quiz: step.quiz && localizeQuiz(step.quiz, text.quiz || {})
+      };
+    })
+  };
+}
+
+// Only the text of a quiz is translated; its type and answer stay as authored
+function localizeQuiz(quiz, text) {
+  return {
+    ...quiz,
+    question: text.question || quiz.question,
+    choices: text.choices || quiz.choices,
+    explain: text.explain || quiz.explain
+  };
+}
+
+/**
+ * Resolves a thought anchor (name or [x, y, z]) against the scenario's anchor table,
+ * falling back to `channelAnchors` (channel id → [x, y, z]) laid out by the scene.
+ */
+export function resolveAnchor(scenario, anchor, channelAnchors = {}) {
+  if (typeof anchor !== 'string') return anchor;
+  return (scenario.anchors && scenario.anchors[anchor]) || channelAnchors[anchor];
+}
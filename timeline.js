@@ -0,0 +1,139 @@
+// --- Timeline ---
+// Owns every timed event of a scenario. The scenario is laid out as consecutive
+// segments (one per step), each holding cues at an offset from its start:
+//   { duration, cues: [{ at, run(late) }] }
+// Cues fire in order while the timeline plays. After a seek, the cues of the
+// target segment up to that moment fire at once; `late` (seconds) tells them how
+// far behind schedule they are, so e.g. a thought bubble can skip its fade-in.
+// A cue that returns false blocks: playback pauses right before it and the cue
+// runs again once `playing` is set back to true (e.g. after a quiz is answered).
+
+export const PLAYBACK_SPEEDS = [0.5, 1, 2];
+
+export class Timeline {
+  constructor() {
+    this.segments = [];   // { start, end }
+    this.cues = [];       // { time, run }, sorted by absolute time
+    this.duration = 0;
+    this.time = 0;
+    this.next = 0;        // Index of the first cue that has not fired yet
+    this.playing = false;
+    this.speed = 1;
+    this.loop = true;
+    this.hold = null;     // When set, playback stops here instead of running on (manual stepping)
+    this.onLoop = null;   // Called when playback wraps around to the start
+    this.onEnd = null;    // Called when playback reaches the end without looping
+  }
+
+  load(segments) {
+    this.segments = [];
+    this.cues = [];
+    let start = 0;
+    segments.forEach(seg => {
+      this.segments.push({ start, end: start + seg.duration });
+      seg.cues.forEach(cue => this.cues.push({ time: start + cue.at, run: cue.run }));
+      start += seg.duration;
+    });
+    this.cues.sort((a, b) => a.time - b.time); // Stable: same-time cues keep their declared order
+    this.duration = start;
+    this.time = 0;
+    this.next = 0;
+    this.playing = false;
+    this.hold = null;
+  }
+
+  /**
+   * Swaps in re-authored segments (e.g. the same steps in another language)
+   * without moving the playhead or firing anything.
+   */
+  replace(segments) {
+    const { time, next, playing, hold } = this;
+    const count = this.cues.length;
+    this.load(segments);
+    Object.assign(this, { time, playing, hold });
+    // Same cue layout: keep the position; otherwise resume after the current time
+    this.next = this.cues.length === count ? next : this.cues.filter(cue => cue.time <= time).length;
+  }
+
+  /** Simulation speed factor for this frame: 0 while paused. */
+  get rate() {
+    return this.playing ? this.speed : 0;
+  }
+
+  segmentAt(time) {
+    const i = this.segments.findIndex(seg => time < seg.end);
+    return i === -1 ? this.segments.length - 1 : i;
+  }
+
+  segmentStart(index) {
+    return this.segments[index].start;
+  }
+
+  segmentEnd(index) {
+    return this.segments[index].end;
+  }
+
+  /** Back to the very start without firing anything, not even the first segment's cues. */
+  rewind() {
+    this.time = 0;
+    this.next = 0;
+  }
+
+  /**
+   * Jumps to `time` and replays the cues of its segment that are already due.
+   * Returns false if one of them blocked (playback is then paused before it).
+   */
+  seek(time) {
+    if (!this.segments.length) return true;
+    this.time = Math.min(Math.max(0, time), this.duration);
+    const segment = this.segments[this.segmentAt(this.time)];
+    this.next = this.cues.findIndex(cue => cue.time >= segment.start);
+    if (this.next === -1) this.next = this.cues.length;
+    while (this.next < this.cues.length && this.cues[this.next].time <= this.time) {
+      if (!this.fire(this.time)) return false;
+    }
+    return true;
+  }
+
+  /** Advances by `dt` real seconds (scaled by `speed`). */
+  update(dt) {
+    if (!this.playing || !this.segments.length) return;
+    let time = this.time + dt * this.speed;
+
+    if (this.hold !== null) {
+      time = Math.min(time, this.hold);
+    } else if (time >= this.duration) {
+      if (!this.fireUntil(this.duration)) return;
+      if (!this.loop) {
+        this.time = this.duration;
+        this.playing = false;
+        if (this.onEnd) this.onEnd();
+        return;
+      }
+      if (this.onLoop) this.onLoop();
+      time -= this.duration;
+      this.next = 0;
+    }
+
+    if (this.fireUntil(time)) this.time = time;
+  }
+
+  // Cues exactly at `time` wait for the next frame, so a hold at a segment end
+  // does not start the following segment. Returns false if a cue blocked.
+  fireUntil(time) {
+    while (this.next < this.cues.length && this.cues[this.next].time < time) {
+      if (!this.fire(time)) return false;
+    }
+    return true;
+  }
+
+  // Runs the next cue; a blocking cue parks the playhead just before itself
+  fire(time) {
+    const cue = this.cues[this.next++];
+    if (cue.run(time - cue.time) !== false) return true;
+    this.next--;
+    this.time = cue.time;
+    this.playing = false;
+    return false;
+  }
+}
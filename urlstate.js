@@ -0,0 +1,61 @@
+// --- URL State ---
+// The shareable part of the view lives in the query string, e.g.
+//   ?scenario=phone-vs-gym&step=4&condition=parkinsons&tonic=0.05&cam=0,0,0,0.1,0.05,0.2
+//   scenario:  file name under public/scenarios/
+//   step:      1-based step number (absent: the start screen)
+//   condition: condition preset id (see conditions.js)
+//   cam:       orbit target x,y,z then camera position x,y,z (absent: the step's scripted shot)
+//   any parameter id from parameters.js that differs from its preset value
+
+import { PARAMETERS } from './parameters.js';
+
+const CAMERA_DIGITS = 3;
+
+function parseNumberList(text, length) {
+  if (!text) return null;
+  const values = text.split(',').map(Number);
+  return values.length === length && values.every(Number.isFinite) ? values : null;
+}
+
+/** Decodes a query string; unknown or malformed entries are ignored. */
+export function readUrlState(search) {
+  const query = new URLSearchParams(search);
+  const step = parseInt(query.get('step'), 10);
+  const cam = parseNumberList(query.get('cam'), 6);
+
+  const params = {};
+  PARAMETERS.forEach(p => {
+    const value = parseFloat(query.get(p.id));
+    if (Number.isFinite(value)) params[p.id] = Math.min(p.max, Math.max(p.min, value));
+  });
+
+  return {
+    scenario: query.get('scenario'),
+    step: Number.isInteger(step) && step > 0 ? step - 1 : -1,
+    condition: query.get('condition'),
+    camera: cam ? { target: cam.slice(0, 3), position: cam.slice(3) } : null,
+    params
+  };
+}
+
+/**
+ * Encodes the view as a query string (with leading '?'). `baseParams` are the values
+ * the condition preset implies; only parameters that differ from them are written.
+ */
+export function writeUrlState(state, baseParams = {}) {
+  const query = new URLSearchParams();
+  if (state.scenario) query.set('scenario', state.scenario);
+  if (state.step >= 0) query.set('step', state.step + 1);
+  if (state.condition) query.set('condition', state.condition);
+  PARAMETERS.forEach(p => {
+    const value = state.params[p.id];
+    const base = p.id in baseParams ? baseParams[p.id] : p.value;
+    if (value !== undefined && Math.abs(value - base) > 1e-9) query.set(p.id, value);
+  });
+  if (state.camera) {
+    const numbers = [...state.camera.target, ...state.camera.position].map(v => +v.toFixed(CAMERA_DIGITS));
+    query.set('cam', numbers.join(','));
+  }
+  const text = query.toString().replace(/%2C/g, ','); // Keep the camera list readable
+  return text ? `?${text}` : '';
+}